@@ -16,6 +16,7 @@ function goToMenu() {
   // remove mode, reload for a clean reset (ensures total separation)
   const url = new URL(window.location.href);
   url.searchParams.delete("mode");
+  url.searchParams.delete("scene"); // a shared Playground snapshot only applies once
   window.location.href = url.toString();
 }
 
@@ -29,28 +29,334 @@ let timeElapsed = 0;
 // Last clicked object (for gravity / movement / UI)
 let lastClickedObject = null;
 
-// Gravity state for single simulated object
-const gravityState = {
-  active: false,
-  object: null,
-  velocityY: 0,
-  accelerationY: -9.8, // conceptually gravity, real value comes from presets
-  floorY: 0
-};
-
-// Gravity presets
+// Selection: Shift-click / Shift-drag build a set; lastClickedObject is its primary
+// (the one the gizmo, builder, joints and telemetry work on)
+const selectedObjects = new Set();
+const selectionOutlines = new Map();  // object -> back-face hull drawn around it
+const selectionColor = 0xffd43b;
+const outlineScale = new THREE.Matrix4().makeScale(1.06, 1.06, 1.06);
+let selectionBox = null;              // { startX, startY, endX, endY } while Shift-dragging
+let selectionBoxElement;
+
+// Objects the gravity button is currently simulating
+const gravityBodies = new Map();      // scene mesh -> rigid body until it settles
+
+// Gravity presets: gravity vector (m/s²), air density (kg/m³) used by
+// projectile drag, and the floor texture key (see floorTextures).
+// Jupiter has no solid surface; a dense lower-atmosphere value is used.
 const gravityPresets = {
-  earth: -9.8,
-  moon: -1.62,
-  jupiter: -24.79
+  earth: { label: "Earth", gravity: new THREE.Vector3(0, -9.8, 0), airDensity: 1.225, floor: "earth" },
+  moon: { label: "Moon", gravity: new THREE.Vector3(0, -1.62, 0), airDensity: 0, floor: "moon" },
+  jupiter: { label: "Jupiter", gravity: new THREE.Vector3(0, -24.79, 0), airDensity: 2.5, floor: "jupiter" }
 };
 let currentGravityPreset = "earth";
+const seaLevelAirDensity = 1.225;
+
+// User-made presets live in gravityPresets under "custom:<name>" keys
+const customPresetStorageKey = "physicsPlayground.customGravityPresets";
+
+// Bundled floor textures, selectable per preset
+const floorTextures = {
+  earth: { label: "Earth", file: "EarthTexture.png", repeat: 4 },
+  moon: { label: "Moon", file: "MoonTexture.jpg", repeat: 1 }, // no tiling
+  jupiter: { label: "Jupiter", file: "JupiterTexture.jpg", repeat: 4 }
+};
 
 // Multiple dynamic bodies (extra falling spheres)
-const dynamicBodies = []; // each: { mesh, velocityY, floorY, active }
+const dynamicBodies = []; // each: rigid body (see createRigidBody)
 
 // Projectile bodies (full 3D projectile motion)
-const projectiles = []; // each: { mesh, velocity: THREE.Vector3, acceleration: THREE.Vector3, radius, active }
+const projectiles = []; // each: rigid body with a fixed acceleration (gravity + extra)
+
+const projectileRadius = 0.25;
+
+// Trajectory preview (dashed arc + landing marker)
+let trajectoryLine = null;
+let landingMarker = null;
+let dragTrajectoryLine = null; // same launch with air drag + wind
+let dragLandingMarker = null;
+const trajectorySamples = 64;
+// last drag prediction and the launch it was integrated for (see updateTrajectoryPreview)
+let dragPrediction = { key: null, trajectory: null };
+
+// Guided experiments: each lesson sets up the launcher, gravity and a target or
+// measurement zone; every projectile launched during the lesson is checked on landing
+const experiments = {
+  moonTarget: {
+    title: "Hit the target on the Moon",
+    preset: "moon",
+    launcher: { speed: 10, elevation: 45, horizontal: 180 },
+    fixedSpeed: false,
+    objective: { type: "target", distance: 20, tolerance: 1 },
+    brief: "Moon gravity is 1.62 m/s² and there is no air. Pick a speed and elevation so the projectile lands within 1 m of the target 20 m away."
+  },
+  maxRange: {
+    title: "Find the angle for maximum range",
+    preset: "earth",
+    launcher: { speed: 10, elevation: 20, horizontal: 180 },
+    fixedSpeed: true,
+    objective: { type: "maxRange", fraction: 0.99 },
+    brief: "Keep the speed at 10 m/s and change only the elevation. Land on the ring: at least 99% of the longest possible range (launched from 1 m up, so the best angle is a little under 45°)."
+  },
+  jupiterHang: {
+    title: "Hang time on Jupiter",
+    preset: "jupiter",
+    launcher: { speed: 30, elevation: 30, horizontal: 180 },
+    fixedSpeed: true,
+    objective: { type: "flightTime", min: 2.0, max: 2.2 },
+    brief: "Jupiter pulls with 24.79 m/s². At 30 m/s, choose the elevation that keeps the projectile in the air for 2.0–2.2 s (t ≈ 2·v·sin θ / g)."
+  },
+  twoAngles: {
+    title: "Two angles, one target",
+    preset: "earth",
+    launcher: { speed: 12, elevation: 45, horizontal: 180 },
+    fixedSpeed: true,
+    objective: { type: "twoAngles", distance: 12, tolerance: 0.75, minAngleGap: 10 },
+    brief: "At 12 m/s two elevations reach the same range. Hit the target 12 m away twice, with elevations at least 10° apart."
+  }
+};
+
+// Preset demos for the Scenarios panel. build(g) gets the preset's gravity (m/s²)
+// and runs on the start-up scene with the original five hidden; camera is a bookmark-style view
+const scenarios = {
+  playground: {
+    title: "Default Playground",
+    preset: "earth",
+    build: null,
+    camera: { target: [0, 1, 0], radius: 10, phi: Math.PI / 3, theta: Math.PI / 4 },
+    brief: "The start-up scene: the five original objects and nothing else."
+  },
+  cradle: {
+    title: "Newton's cradle",
+    preset: "earth",
+    build: buildNewtonsCradle,
+    camera: { target: [0, 2.5, 0], radius: 9, phi: 1.35, theta: 0 },
+    brief: "Five steel balls on rods. The first is pulled back 40°; momentum and energy pass along the row, so one ball swings out the far end."
+  },
+  dominoes: {
+    title: "Domino run",
+    preset: "earth",
+    build: buildDominoRun,
+    camera: { target: [0, 0.5, 0], radius: 12, phi: 1.1, theta: 0.5 },
+    brief: "Fifteen dominoes 0.7 m apart. The first leans past its tipping angle, and each one knocks down the next."
+  },
+  billiards: {
+    title: "Billiard break",
+    preset: "earth",
+    build: buildBilliardBreak,
+    camera: { target: [0, 0, 0], radius: 14, phi: 0.75, theta: 0 },
+    brief: "Fifteen balls racked in a triangle; the white cue ball comes in at 14 m/s and shares its momentum across the rack."
+  },
+  pendulumWave: {
+    title: "Pendulum wave",
+    preset: "earth",
+    build: buildPendulumWave,
+    camera: { target: [0, 2.5, 0], radius: 10, phi: 1.3, theta: 1.1 },
+    brief: "Twelve pendulums whose lengths give 15, 16 … 26 swings every 40 s. They drift in and out of step and line up again after 40 s."
+  },
+  tower: {
+    title: "Stacked tower collapse",
+    preset: "moon",
+    build: buildTowerCollapse,
+    camera: { target: [0, 2, 0], radius: 12, phi: 1.25, theta: 0.3 },
+    brief: "A tower of sixteen blocks on the Moon, hit low by a heavy iron ball. Low gravity makes the collapse easy to follow."
+  }
+};
+
+// Measurement tools: ruler (2 clicks), protractor (arm, vertex, arm) and a stopwatch
+// that runs from a spawn / gravity trigger to the first floor contact
+const measureColors = { ruler: 0xffe066, protractor: 0x74c0fc, stopwatch: 0x69db7c };
+const measureState = { tool: null, points: [], markers: [] }; // clicks of the measurement in progress
+const measurements = []; // each: { type, objects, label }
+const stopwatch = { enabled: false, bodies: [], start: 0, elapsed: 0, running: false, label: null };
+
+const experimentState = {
+  active: null,       // key into experiments
+  attempts: [],       // { n, speed, elevation, range, flightTime, landing, pass, detail }
+  shots: new Set(),   // projectiles launched in the lesson that haven't landed yet
+  target: null,       // world point on the floor (target lessons)
+  maxRange: 0,        // best possible range (maxRange lesson)
+  markers: []         // target / zone / landing meshes
+};
+const maxPredictionTime = 10; // seconds simulated for the drag preview
+
+// Projectile trails + recorded flight data
+const trailLength = 240;        // points kept per trail (one per fixed step)
+const maxFlightSamples = 3600;  // recorded samples per projectile
+let nextProjectileId = 1;
+
+// Orbital sandbox: point-mass attractors with inverse-square gravity
+const orbitState = {
+  enabled: false,
+  placing: null,   // attractor type waiting for a floor click
+  attractors: []   // each: { mesh, type, mu (GM, m³/s²), radius }
+};
+const attractorTypes = {
+  planet: { label: "Planet", texture: "EarthTexture.png", radius: 1.5, mu: 500 },
+  moon: { label: "Moon", texture: "MoonTexture.jpg", radius: 0.6, mu: 60 }
+};
+const attractorHeight = 5;       // attractors hover this far above the clicked floor point
+
+// Joints between scene objects: springs, rods, ropes and hinges
+const joints = [];               // each: { type, a, b, restLength, stiffness, damping, axis, line, marker }
+const jointBodies = new Map();   // scene mesh -> rigid body while it is part of a joint
+const jointState = { pending: null }; // first object picked for "Connect"
+const jointIterations = 8;       // rod/rope/hinge solver passes per sub-step
+const springCoils = 12;
+const jointColors = {
+  spring: 0x66ff99,
+  rod: 0xdddddd,
+  rope: 0xc8a060,
+  hinge: 0xff7755
+};
+
+// Telemetry: energy and momentum history for the scrolling graphs
+const telemetryHistoryLength = 600; // samples kept (10 s at the default 60 Hz step)
+const telemetryHistory = [];        // each: { t, selected, system }
+const telemetryColors = {
+  kinetic: "#ff6b6b",
+  potential: "#4dabf7",
+  total: "#f5f5f5",
+  momentum: "#ffd43b"
+};
+
+// Object builder: primitives added from the panel
+const builtObjects = [];          // meshes with userData.builder / userData.physics
+const builderState = { placing: false };
+let nextBuiltId = 1;
+const builderShapes = {
+  box: "Box",
+  sphere: "Sphere",
+  cylinder: "Cylinder",
+  cone: "Cone",
+  ramp: "Ramp",
+  torus: "Torus"
+};
+const builderMaterials = {
+  matte: { label: "Matte", roughness: 0.9, metalness: 0 },
+  plastic: { label: "Plastic", roughness: 0.35, metalness: 0 },
+  metal: { label: "Metal", roughness: 0.25, metalness: 1 },
+  glass: { label: "Glass", roughness: 0.05, metalness: 0, opacity: 0.45 }
+};
+
+// Material lab: colour and bump maps come from the bundled textures (floorTextures)
+const labTextureCache = {}; // "<texture>:<map|bump>" -> THREE.Texture
+
+// Lighting lab: every scene light is listed in sceneLights and saved with the scene
+const lightTypes = {
+  ambient: { label: "Ambient", intensity: 1 },
+  directional: { label: "Directional", intensity: 1.5 },
+  point: { label: "Point", intensity: 60 },
+  spot: { label: "Spot", intensity: 120 }
+};
+const defaultLights = [
+  { type: "ambient", color: 0xffffff, intensity: 2.5 },
+  { type: "directional", color: 0xd98748, intensity: 1.5, position: [10, 20, 10], castShadow: true }
+];
+const defaultExposure = 0.7;
+const sceneLights = []; // each: { id, type, light, helper }
+let nextLightId = 1;
+let showLightHelpers = false;
+
+// Inclined planes: wedges whose slope face is a friction surface
+const inclines = [];              // each: { id, mesh, angle (rad), length, width, staticFriction, kineticFriction }
+const slidingBlocks = [];         // boxes dropped onto inclines (rigid bodies)
+const inclineState = { placing: false };
+let nextInclineId = 1;
+const inclineWidth = 1.5;
+const blockSize = 0.5;
+const forceColors = {
+  gravity: 0xff5555,
+  normal: 0x55ff55,
+  friction: 0xffd43b
+};
+
+// Fluid tanks: a box of liquid standing on the floor. Immersed bodies get buoyancy
+// ρ·V_sub·(−g) and viscous drag −k·V_sub·v, both from the submerged volume V_sub
+const fluidPresets = {
+  water: { label: "Water", density: 1000, viscousDrag: 1500, color: 0x4dabf7 },     // k in N·s/m⁴
+  oil: { label: "Oil", density: 900, viscousDrag: 4500, color: 0xfcc419 },
+  mercury: { label: "Mercury", density: 13534, viscousDrag: 20000, color: 0xced4da }
+};
+const fluidTanks = [];            // each: { id, preset, width, length, depth, group, box (fluid volume) }
+const fluidState = { placing: false };
+let nextTankId = 1;
+const tankRimHeight = 0.3;        // glass above the fluid surface
+
+// Radial impulse tool: a click pushes every body within the radius straight away from
+// the blast with J·falloff(d), d measured to the body's surface
+const explosionFalloffs = {
+  linear: "Linear (1 − d/R)",
+  inverseSquare: "Inverse square",
+  constant: "None (same everywhere)"
+};
+const explosionState = { placing: false };
+const explosionFlashes = [];      // each: { mesh, age }
+const explosionFlashTime = 0.4;   // seconds the blast sphere takes to grow and fade
+const explosionCoreRadius = 0.5;  // inverse-square falloff is full strength inside this
+
+// Motion vector overlay (velocity / acceleration / net force on every moving body)
+const vectorColors = {
+  velocity: 0x22d3ee,
+  acceleration: 0xe879f9,
+  force: 0xff922b
+};
+const vectorScales = {
+  velocity: 0.2,       // arrow metres per m/s
+  acceleration: 0.1,   // arrow metres per m/s²
+  force: 0.5           // arrow metres per decade of newtons (body masses span ~1–300 kg)
+};
+const maxVectorLength = 4;
+
+// Collider debug view (wireframes of the exact colliders used for blocking)
+const colliderColors = {
+  sphere: 0x22d3ee,
+  capsule: 0xe879f9,
+  obb: 0x69db7c,
+  hull: 0xffa94d
+};
+const colliderDebug = { enabled: false };
+const colliderWireframes = new Map(); // object -> { shape, lines, key }
+let colliderDebugGroup;
+const gjkMaxIterations = 32;
+const vectorOverlay = { enabled: false, pointer: null };
+const vectorArrowPool = [];      // one { velocity, acceleration, force } ArrowHelper set per drawn body
+let vectorOverlayGroup;
+let vectorTooltip;
+
+// Timeline: ring buffer of recorded steps for pause / rewind / slow motion
+const timelineLength = 1200;      // recorded steps (20 s at the default 60 Hz)
+const timelineFrames = [];        // each: { t, objects: [{ obj, position, quaternion }], bodies: Map(body -> state) }
+const timeline = {
+  paused: false,
+  speed: 1,                       // 0.1x – 1x playback / simulation rate
+  cursor: -1                      // index into timelineFrames while replaying, -1 = live
+};
+const timelineSpeeds = [0.1, 0.25, 0.5, 0.75, 1];
+
+// Scene snapshots (JSON file or ?scene= URL parameter)
+const snapshotVersion = 1;
+const snapshotUrlParam = "scene";
+let startupSnapshot = null; // the scene as first built, restored by the Default Playground scenario
+
+// Rigid body tuning
+const defaultDensity = 1000;    // kg/m³ (roughly rubber/water) when no mass is given
+const restingSpeed = 0.3;       // impacts slower than this don't bounce (m/s)
+const sleepLinearSpeed = 0.05;  // below these a body in contact counts as resting
+const sleepAngularSpeed = 0.08;
+const sleepDelay = 0.5;         // seconds at rest before a body is put to sleep
+const contactIterations = 2;    // impulse passes per contact per step
+const boxContactIterations = 8; // passes over all box–box contacts, enough for a stack to settle
+const maxContactPoints = 64;    // vertex samples used for non-sphere floor contact
+const contactSlop = 0.01;       // samples this close to the lowest one share the contact patch
+
+// Fixed-timestep physics loop
+const physicsSettings = {
+  fixedDelta: 1 / 60,  // seconds per simulation step
+  subSteps: 4,         // integration sub-steps per fixed step
+  maxFrameDelta: 0.25  // longest frame fed to the accumulator (tab throttling)
+};
+let physicsAccumulator = 0;
 
 // Animation speed multipliers
 const speedFactors = {
@@ -66,11 +372,29 @@ const animationPaused = {
   cube: false
 };
 
-// Simple orbit-like camera control
+// Orbit / pan camera: input moves the goal (spherical + orbitTarget), the view eases after it
 let isDragging = false;
+let dragMode = "orbit";             // "orbit" | "pan"
+let dragDistance = 0;               // pixels moved since the button went down
 const previousMousePosition = { x: 0, y: 0 };
 const spherical = new THREE.Spherical(10, Math.PI / 3, Math.PI / 4); // radius, phi, theta
 const orbitTarget = new THREE.Vector3(0, 1, 0);
+const viewSpherical = spherical.clone();  // what the camera shows this frame
+const viewTarget = orbitTarget.clone();
+const cameraDamping = 10;           // 1/s, how fast the view catches up with the goal
+const cameraLimits = { minRadius: 2, maxRadius: 40 };
+const clickDragTolerance = 4;       // a drag longer than this (px) doesn't count as a click
+const touchPair = { distance: 0, x: 0, y: 0 }; // two-finger pinch / pan
+let followProjectile = false;
+
+// Camera bookmarks: built-in views plus saved ones (localStorage)
+const cameraBookmarks = {
+  default: { label: "Default", target: new THREE.Vector3(0, 1, 0), radius: 10, phi: Math.PI / 3, theta: Math.PI / 4 },
+  top: { label: "Top", target: new THREE.Vector3(0, 0, 0), radius: 18, phi: 0.001, theta: 0 },
+  front: { label: "Front", target: new THREE.Vector3(0, 1, 0), radius: 14, phi: Math.PI / 2, theta: 0 },
+  side: { label: "Side", target: new THREE.Vector3(0, 1, 0), radius: 14, phi: Math.PI / 2, theta: Math.PI / 2 }
+};
+const cameraBookmarkStorageKey = "physicsPlayground.cameraBookmarks";
 
 // Movement input for last clicked object
 const moveInput = {
@@ -81,15 +405,53 @@ const moveInput = {
 };
 const moveSpeed = 5;
 
+// Transform gizmo for the last clicked object
+const gizmoState = {
+  mode: "translate",   // off | translate | rotate | scale
+  drag: null,          // active handle drag (see startGizmoDrag)
+  suppressClick: false // the click that ends a drag must not reselect
+};
+const gizmoAxes = {
+  x: { dir: new THREE.Vector3(1, 0, 0), color: 0xff5555 },
+  y: { dir: new THREE.Vector3(0, 1, 0), color: 0x55ff55 },
+  z: { dir: new THREE.Vector3(0, 0, 1), color: 0x5599ff }
+};
+const gizmoScreenSize = 0.15;   // handle length as a fraction of the camera distance
+const rotationSnap = THREE.MathUtils.degToRad(15);
+const scaleSnap = 0.1;
+let gizmo;                       // THREE.Group with one handle group per mode
+const gizmoHandles = {};
+
 // UI elements
 let lastClickedLabel;
+let selectionColorInput;
+let selectionColorBtn;
+let selectionDeleteBtn;
+let selectionClearBtn;
+let cameraBookmarkSelect;
+let cameraGoBtn;
+let cameraBookmarkNameInput;
+let cameraSaveBtn;
+let cameraDeleteBtn;
+let focusSelectedBtn;
+let followProjectileCheckbox;
 let gravityBtn;
 let speedTargetSelect;
 let speedInput;
 let applySpeedBtn;
 let gravityPresetSelect;
+let customPresetNameInput;
+let customGravityInputs = [];
+let customAirDensityInput;
+let customFloorSelect;
+let customPresetSaveBtn;
+let customPresetDeleteBtn;
 let spawnSphereBtn;
 let glassModeBtn;
+let vectorOverlayCheckbox;
+let colliderDebugCheckbox;
+let stepRateSelect;
+let subStepsInput;
 
 // Projectile UI elements
 let projectileSpeedInput;
@@ -98,6 +460,157 @@ let projectileHAngleInput;    // horizontal (yaw) angle
 let projectileAccelInput;     // extra vertical acceleration
 let spawnProjectileBtn;
 let clearProjectilesBtn;
+let showPredictionCheckbox;
+let predictionLabel;
+let projectileMassInput;
+let dragModelSelect;
+let dragCoefficientInput;
+let linearDragInput;
+let airDensityLabel;
+let windInputs = [];
+let exportCsvBtn;
+let exportJsonBtn;
+
+// Joint UI elements
+let jointTypeSelect;
+let jointStiffnessInput;
+let jointDampingInput;
+let jointRestInput;
+let jointMassInput;
+let jointAnchorHeightInput;
+let jointPickBtn;
+let jointConnectBtn;
+let jointAnchorBtn;
+let jointRemoveLastBtn;
+let jointRemoveAllBtn;
+let jointInfoLabel;
+
+// Orbital sandbox UI elements
+let orbitModeCheckbox;
+let placePlanetBtn;
+let placeMoonBtn;
+let clearAttractorsBtn;
+let launchAltitudeInput;
+let orbitInfoLabel;
+
+// Transform UI elements
+let gizmoModeSelect;
+let snapCheckbox;
+let gridStepInput;
+let resumeAnimationBtn;
+let transformLabel;
+
+// Object builder UI elements
+let builderShapeSelect;
+let builderSizeInput;
+let builderMassInput;
+let builderRestitutionInput;
+let builderFrictionInput;
+let builderColorInput;
+let builderMaterialSelect;
+let builderPlaceBtn;
+let builderApplyBtn;
+let builderDeleteBtn;
+let builderInfoLabel;
+
+// Inclined plane UI elements
+let inclineAngleInput;
+let inclineLengthInput;
+let staticFrictionInput;
+let kineticFrictionInput;
+let placeInclineBtn;
+let updateInclineBtn;
+let dropBlockBtn;
+let clearInclinesBtn;
+let forceDiagramCheckbox;
+let inclineInfoLabel;
+
+// Scenario UI elements
+let scenarioSelect;
+let scenarioLoadBtn;
+let scenarioBriefLabel;
+
+// Experiment UI elements
+let experimentSelect;
+let experimentStartBtn;
+let experimentStopBtn;
+let experimentBriefLabel;
+let experimentStatusLabel;
+let experimentLog;
+
+// Measurement UI elements
+let rulerBtn;
+let protractorBtn;
+let clearMeasurementsBtn;
+let stopwatchCheckbox;
+let measureInfoLabel;
+
+// Fluid tank UI elements
+let fluidPresetSelect;
+let tankWidthInput;
+let tankLengthInput;
+let tankDepthInput;
+let placeTankBtn;
+let clearTanksBtn;
+let fluidInfoLabel;
+
+// Explosion UI elements
+let explosionStrengthInput;
+let explosionRadiusInput;
+let explosionFalloffSelect;
+let explosionRepeatCheckbox;
+let placeExplosionBtn;
+let explosionInfoLabel;
+let sphereDensityInput;
+
+// Material lab UI elements
+let materialColorInput;
+let materialMetalnessInput;
+let materialRoughnessInput;
+let materialTransmissionInput;
+let materialEmissiveInput;
+let materialEmissiveIntensityInput;
+let materialMapSelect;
+let materialBumpSelect;
+let materialApplyBtn;
+let materialResetBtn;
+let materialInfoLabel;
+
+// Lighting UI elements
+let lightSelect;
+let lightTypeSelect;
+let lightAddBtn;
+let lightRemoveBtn;
+let lightColorInput;
+let lightIntensityInput;
+let lightPositionInputs = [];
+let lightShadowCheckbox;
+let lightApplyBtn;
+let lightHelpersCheckbox;
+let exposureInput;
+let lightInfoLabel;
+
+// Scene snapshot UI elements
+let saveSceneBtn;
+let loadSceneBtn;
+let loadSceneInput;
+let shareSceneBtn;
+let shareLinkInput;
+
+// Timeline bar UI elements
+let timelinePlayBtn;
+let timelineBackBtn;
+let timelineStepBtn;
+let timelineLiveBtn;
+let timelineSpeedSelect;
+let timelineSlider;
+let timelineLabel;
+
+// Telemetry UI elements
+let telemetryScopeSelect;
+let telemetryEnergyCanvas;
+let telemetryMomentumCanvas;
+let telemetryLabel;
 
 
 // Store original cone material to toggle glass mode
@@ -105,12 +618,6 @@ let coneOriginalMaterial = null;
 let coneIsGlass = false;
 
 
-/**********************************************************************
- * ENTRY POINT
- **********************************************************************/
-init();
-animate();
-
 /**********************************************************************
  * INIT
  **********************************************************************/
@@ -146,29 +653,15 @@ function init() {
   renderer.outputEncoding = THREE.sRGBEncoding;
 
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 0.7; // tweak between 0.9 – 1.3
+  renderer.toneMappingExposure = defaultExposure;
 
   document.body.appendChild(renderer.domElement);
 
   /*********** LIGHTING ***********/
-// Ambient (dimmer)
-const ambientLight = new THREE.AmbientLight(0xffffff, 2.5);
-scene.add(ambientLight);
-
-scene.fog = new THREE.Fog(0x000000, 10, 60);
-
+  // ambient fill + the sun (see defaultLights); the Lighting panel edits them
+  defaultLights.forEach((settings) => addSceneLight(settings));
 
-// Directional light (sun)
-const dirLight = new THREE.DirectionalLight(0xd98748, 1.5);
-dirLight.position.set(10, 20, 10);
-dirLight.castShadow = true;
-
-// Better shadows
-dirLight.shadow.mapSize.width = 2048;
-dirLight.shadow.mapSize.height = 2048;
-dirLight.shadow.camera.near = 1;
-dirLight.shadow.camera.far = 50;
-scene.add(dirLight);
+  scene.fog = new THREE.Fog(0x000000, 10, 60);
 
   /*********** PLANE (GROUND) ***********/
   const planeGeometry = new THREE.PlaneGeometry(80, 80);
@@ -257,19 +750,18 @@ scene.add(dirLight);
 
   addCollisionBox(energyCone);
 
-  /*********** COLLISION CACHING *******/
-  function addCollisionBox(object) {
-  object.userData.collider = new THREE.Box3().setFromObject(object);
-}
-
-function updateCollider(object) {
-  object.userData.collider.setFromObject(object);
-}
-
   /*********** AXES HELPER ***********/
   const axes = new THREE.AxesHelper(3);
   scene.add(axes);
 
+  /*********** TRAJECTORY PREVIEW ***********/
+  createTrajectoryPreview();
+  createGizmo();
+  createVectorOverlay();
+  createSelectionBox();
+  colliderDebugGroup = new THREE.Group();
+  scene.add(colliderDebugGroup);
+
   /*********** RAYCASTING ***********/
   raycaster = new THREE.Raycaster();
   collisionRaycaster = new THREE.Raycaster();
@@ -281,15 +773,31 @@ function updateCollider(object) {
   renderer.domElement.addEventListener("mousemove", onMouseMove);
   renderer.domElement.addEventListener("mouseup", onMouseUp);
   renderer.domElement.addEventListener("mouseleave", onMouseUp);
+  renderer.domElement.addEventListener("mouseleave", () => (vectorOverlay.pointer = null));
   renderer.domElement.addEventListener("wheel", onMouseWheel, { passive: true });
+  renderer.domElement.addEventListener("dblclick", onDoubleClick);
+  renderer.domElement.addEventListener("contextmenu", (event) => event.preventDefault());
+  renderer.domElement.addEventListener("touchstart", onTouchStart, { passive: true });
+  renderer.domElement.addEventListener("touchmove", onTouchMove, { passive: false });
+  renderer.domElement.addEventListener("touchend", onTouchEnd);
+  renderer.domElement.style.touchAction = "none";
 
   /*********** KEYBOARD MOVEMENT (WASD) ***********/
   window.addEventListener("keydown", onKeyDown);
   window.addEventListener("keyup", onKeyUp);
 
   /*********** UI CREATED FROM JS ***********/
+  loadCustomPresets();
+  loadCameraBookmarks();
   createUI();
 
+  /*********** TIMELINE BAR ***********/
+  createTimelineBar();
+
+  /*********** SHARED SNAPSHOT (?scene=...) ***********/
+  startupSnapshot = createSnapshot();
+  loadSnapshotFromUrl();
+
   /*********** RESIZE ***********/
   window.addEventListener("resize", onWindowResize);
 
@@ -300,46 +808,23 @@ function updateCollider(object) {
 function setPlanetFloor(planet) {
   if (!textureLoader || !plane) return;
 
-  let fileName;
-  let repeat = new THREE.Vector2(1, 1); // default: no tiling
-  let wrap = THREE.ClampToEdgeWrapping;
-
-  switch (planet) {
-    case "earth":
-      fileName = "EarthTexture.png";
-      repeat.set(4, 4);
-      wrap = THREE.RepeatWrapping;
-      break;
-
-    case "jupiter":
-      fileName = "Jupiter_4k.jpg";
-      repeat.set(4, 4);
-      wrap = THREE.RepeatWrapping;
-      break;
-
-    case "moon":
-      fileName = "MoonText.jpg";
-      // IMPORTANT: no repeat, no tiling
-      repeat.set(1, 1);
-      wrap = THREE.ClampToEdgeWrapping;
-      break;
-
-    default:
-      fileName = null;
-  }
+  const texture = floorTextures[planet];
 
-  if (!fileName) {
+  if (!texture) {
     plane.material.map = null;
     plane.material.color.set(0x333333);
     plane.material.needsUpdate = true;
     return;
   }
 
-  textureLoader.load(fileName, (tex) => {
+  // tiled textures repeat; a single image is clamped (no tiling)
+  const wrap = texture.repeat > 1 ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping;
+
+  textureLoader.load(texture.file, (tex) => {
     tex.encoding = THREE.sRGBEncoding;
 
     tex.wrapS = tex.wrapT = wrap;
-    tex.repeat.copy(repeat);
+    tex.repeat.set(texture.repeat, texture.repeat);
 
     plane.material.map = tex;
     plane.material.color.set(0xffffff);
@@ -369,6 +854,22 @@ function createSection(title) {
     return section;
 }
 
+// Labelled number input row, same look as the launcher rows
+function createNumberRow(label, value, step) {
+  const row = document.createElement("div");
+  row.style.fontSize = "12px";
+  row.textContent = label;
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = step;
+  input.value = value;
+  input.style.width = "60px";
+  row.appendChild(input);
+
+  return { row, input };
+}
+
 function createUI() {
   const ui = document.createElement("div");
   ui.style.position = "absolute";
@@ -382,13 +883,19 @@ function createUI() {
   ui.style.borderRadius = "8px";
   ui.style.zIndex = "10";
   ui.style.minWidth = "260px";
+  // the body doesn't scroll, so the panel scrolls its own sections
+  ui.style.maxHeight = "calc(100vh - 20px)";
+  ui.style.overflowY = "auto";
+  ui.style.boxSizing = "border-box";
 
   ui.innerHTML = `
     <div><b>Physics Playground</b></div>
     <div style="font-size:11px;margin-top:4px;">
-      • Click objects to select<br>
-      • WASD: move last clicked object<br>
-      • Mouse drag: orbit | wheel: zoom
+      • Click objects to select | Shift-click / Shift-drag: add to selection<br>
+      • WASD: move the selection<br>
+      • Mouse drag: orbit | right-drag: pan | wheel: zoom<br>
+      • Double-click: focus an object | F: focus selected<br>
+      • Space: pause / play (timeline bar at the bottom)
     </div>
   `;
 
@@ -400,7 +907,7 @@ function createUI() {
 
   // Gravity button
   gravityBtn = document.createElement("button");
-  gravityBtn.textContent = "Simulate Gravity on Last Clicked";
+  gravityBtn.textContent = "Simulate Gravity on Selected";
   gravityBtn.style.fontSize = "12px";
   gravityBtn.style.display = "block";
 
@@ -415,20 +922,82 @@ function createUI() {
   gravityPresetSelect = document.createElement("select");
   gravityPresetSelect.style.fontSize = "12px";
 
-  ["earth", "moon", "jupiter"].forEach((key) => {
-    const opt = document.createElement("option");
-    opt.value = key;
-    opt.textContent = key.charAt(0).toUpperCase() + key.slice(1);
-    gravityPresetSelect.appendChild(opt);
-  });
-
-  gravityPresetSelect.value = "earth";
+  refreshPresetOptions();
 
   presetRow.appendChild(presetLabel);
   presetRow.appendChild(gravityPresetSelect);
 
+  // Custom preset editor (collapsed by default)
+  const customBlock = document.createElement("details");
+  customBlock.style.fontSize = "12px";
+  customBlock.style.marginTop = "6px";
+  const customSummary = document.createElement("summary");
+  customSummary.textContent = "Custom preset";
+  customSummary.style.cursor = "pointer";
+  customBlock.appendChild(customSummary);
+
+  const customRow1 = document.createElement("div");
+  customRow1.textContent = "Name: ";
+  customPresetNameInput = document.createElement("input");
+  customPresetNameInput.type = "text";
+  customPresetNameInput.value = "Mars";
+  customPresetNameInput.style.width = "100px";
+  customRow1.appendChild(customPresetNameInput);
+
+  const customRow2 = document.createElement("div");
+  customRow2.style.marginTop = "4px";
+  customRow2.textContent = "g x/y/z: ";
+  customGravityInputs = [0, -3.71, 0].map((value) => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "0.1";
+    input.value = String(value);
+    input.style.width = "48px";
+    customRow2.appendChild(input);
+    return input;
+  });
+
+  const customRow3 = createNumberRow("Air density (kg/m³): ", "0.02", "0.01");
+  customRow3.row.style.marginTop = "4px";
+  customAirDensityInput = customRow3.input;
+
+  const customRow4 = document.createElement("div");
+  customRow4.style.marginTop = "4px";
+  customRow4.textContent = "Floor: ";
+  customFloorSelect = document.createElement("select");
+  customFloorSelect.style.fontSize = "12px";
+  [["", "Plain"], ...Object.keys(floorTextures).map((k) => [k, floorTextures[k].label])]
+    .forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      customFloorSelect.appendChild(opt);
+    });
+  customFloorSelect.value = "moon";
+  customRow4.appendChild(customFloorSelect);
+
+  const customRow5 = document.createElement("div");
+  customRow5.style.marginTop = "4px";
+  customPresetSaveBtn = document.createElement("button");
+  customPresetSaveBtn.textContent = "Save Preset";
+  customPresetSaveBtn.style.fontSize = "12px";
+  customPresetDeleteBtn = document.createElement("button");
+  customPresetDeleteBtn.textContent = "Delete Selected";
+  customPresetDeleteBtn.style.marginLeft = "4px";
+  customPresetDeleteBtn.style.fontSize = "12px";
+  customPresetDeleteBtn.disabled = !currentGravityPreset.startsWith("custom:");
+  customRow5.appendChild(customPresetSaveBtn);
+  customRow5.appendChild(customPresetDeleteBtn);
+
+  customBlock.appendChild(customRow1);
+  customBlock.appendChild(customRow2);
+  customBlock.appendChild(customRow3.row);
+  customBlock.appendChild(customRow4);
+  customBlock.appendChild(customRow5);
+
   gravitySection.appendChild(gravityBtn);
   gravitySection.appendChild(presetRow);
+  gravitySection.appendChild(customBlock);
 
 
     /***************************************************************
@@ -492,12 +1061,600 @@ function createUI() {
   clearProjectilesBtn.style.marginTop = "4px";
   clearProjectilesBtn.style.fontSize = "12px";
 
+  // Mass (drag only matters for light projectiles)
+  const projRowMass = createNumberRow("Mass (kg): ", "0.5", "0.1");
+  projectileMassInput = projRowMass.input;
+
+  // Air drag
+  const projRowDrag = document.createElement("div");
+  projRowDrag.style.fontSize = "12px";
+  projRowDrag.style.marginTop = "4px";
+  projRowDrag.textContent = "Air drag: ";
+  dragModelSelect = document.createElement("select");
+  dragModelSelect.style.fontSize = "12px";
+  [
+    ["off", "Off (vacuum)"],
+    ["linear", "Linear (F = b·v)"],
+    ["quadratic", "Quadratic (F = ½ρC_dAv²)"],
+    ["both", "Linear + quadratic"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    dragModelSelect.appendChild(opt);
+  });
+  projRowDrag.appendChild(dragModelSelect);
+
+  const projRowCd = createNumberRow("Drag coeff C_d: ", "0.47", "0.01");
+  dragCoefficientInput = projRowCd.input;
+
+  const projRowB = createNumberRow("Linear b (kg/s): ", "0.05", "0.01");
+  linearDragInput = projRowB.input;
+
+  const projRowAir = document.createElement("div");
+  projRowAir.style.fontSize = "11px";
+  projRowAir.style.opacity = "0.85";
+  airDensityLabel = document.createElement("span");
+  projRowAir.appendChild(airDensityLabel);
+
+  // Wind (world-space, m/s)
+  const projRowWind = document.createElement("div");
+  projRowWind.style.fontSize = "12px";
+  projRowWind.style.marginTop = "4px";
+  projRowWind.textContent = "Wind x/y/z: ";
+  windInputs = ["x", "y", "z"].map(() => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "0.5";
+    input.value = "0";
+    input.style.width = "42px";
+    projRowWind.appendChild(input);
+    return input;
+  });
+
+  // Trajectory prediction
+  const projRow5 = document.createElement("div");
+  projRow5.style.fontSize = "12px";
+  projRow5.style.marginTop = "4px";
+  const predictionToggleLabel = document.createElement("label");
+  showPredictionCheckbox = document.createElement("input");
+  showPredictionCheckbox.type = "checkbox";
+  showPredictionCheckbox.checked = true;
+  predictionToggleLabel.appendChild(showPredictionCheckbox);
+  predictionToggleLabel.appendChild(document.createTextNode(" Show predicted path"));
+  projRow5.appendChild(predictionToggleLabel);
+
+  predictionLabel = document.createElement("div");
+  predictionLabel.style.fontSize = "11px";
+  predictionLabel.style.marginTop = "2px";
+  predictionLabel.style.opacity = "0.85";
+  predictionLabel.style.whiteSpace = "pre-line";
+
   projectileSection.appendChild(projRow1);
   projectileSection.appendChild(projRow2);
   projectileSection.appendChild(projRow3);
   projectileSection.appendChild(projRow4);
+  projectileSection.appendChild(projRowMass.row);
+  projectileSection.appendChild(projRowDrag);
+  projectileSection.appendChild(projRowCd.row);
+  projectileSection.appendChild(projRowB.row);
+  projectileSection.appendChild(projRowAir);
+  projectileSection.appendChild(projRowWind);
+  projectileSection.appendChild(projRow5);
+  projectileSection.appendChild(predictionLabel);
+  // Flight data export
+  const exportRow = document.createElement("div");
+  exportRow.style.marginTop = "4px";
+
+  exportCsvBtn = document.createElement("button");
+  exportCsvBtn.textContent = "Export CSV";
+  exportCsvBtn.style.fontSize = "12px";
+
+  exportJsonBtn = document.createElement("button");
+  exportJsonBtn.textContent = "Export JSON";
+  exportJsonBtn.style.marginLeft = "4px";
+  exportJsonBtn.style.fontSize = "12px";
+
+  exportRow.appendChild(exportCsvBtn);
+  exportRow.appendChild(exportJsonBtn);
+
   projectileSection.appendChild(spawnProjectileBtn);
   projectileSection.appendChild(clearProjectilesBtn);
+  projectileSection.appendChild(exportRow);
+
+  /***************************************************************
+   * SECTION: SCENARIOS
+   ***************************************************************/
+  const scenarioSection = createSection("Scenarios");
+
+  const scenarioRow = document.createElement("div");
+  scenarioRow.style.fontSize = "12px";
+  scenarioSelect = document.createElement("select");
+  scenarioSelect.style.fontSize = "12px";
+  Object.entries(scenarios).forEach(([value, scenario]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = scenario.title;
+    scenarioSelect.appendChild(opt);
+  });
+  scenarioLoadBtn = document.createElement("button");
+  scenarioLoadBtn.textContent = "Load Scenario";
+  scenarioLoadBtn.style.marginLeft = "4px";
+  scenarioLoadBtn.style.fontSize = "12px";
+  scenarioRow.appendChild(scenarioSelect);
+  scenarioRow.appendChild(scenarioLoadBtn);
+
+  scenarioBriefLabel = document.createElement("div");
+  scenarioBriefLabel.style.fontSize = "11px";
+  scenarioBriefLabel.style.marginTop = "4px";
+  scenarioBriefLabel.style.maxWidth = "260px";
+  scenarioBriefLabel.textContent = "Loading a scenario replaces everything in the Playground (lights are kept).";
+
+  scenarioSection.appendChild(scenarioRow);
+  scenarioSection.appendChild(scenarioBriefLabel);
+
+  /***************************************************************
+   * SECTION: EXPERIMENTS
+   ***************************************************************/
+  const experimentSection = createSection("Experiments");
+
+  const experimentRow1 = document.createElement("div");
+  experimentRow1.style.fontSize = "12px";
+  experimentSelect = document.createElement("select");
+  experimentSelect.style.fontSize = "12px";
+  Object.entries(experiments).forEach(([value, exp]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = exp.title;
+    experimentSelect.appendChild(opt);
+  });
+  experimentRow1.appendChild(experimentSelect);
+
+  const experimentRow2 = document.createElement("div");
+  experimentRow2.style.marginTop = "4px";
+  experimentStartBtn = document.createElement("button");
+  experimentStartBtn.textContent = "Start Experiment";
+  experimentStartBtn.style.fontSize = "12px";
+  experimentStopBtn = document.createElement("button");
+  experimentStopBtn.textContent = "Stop Experiment";
+  experimentStopBtn.style.marginLeft = "4px";
+  experimentStopBtn.style.fontSize = "12px";
+  experimentRow2.appendChild(experimentStartBtn);
+  experimentRow2.appendChild(experimentStopBtn);
+
+  experimentBriefLabel = document.createElement("div");
+  experimentBriefLabel.style.fontSize = "11px";
+  experimentBriefLabel.style.marginTop = "4px";
+  experimentBriefLabel.style.maxWidth = "260px";
+  experimentBriefLabel.textContent = "Pick a lesson and press Start. Launches from the Projectile Launcher are checked when they land.";
+
+  experimentStatusLabel = document.createElement("div");
+  experimentStatusLabel.style.fontSize = "12px";
+  experimentStatusLabel.style.marginTop = "4px";
+
+  experimentLog = document.createElement("div");
+  experimentLog.style.fontSize = "11px";
+  experimentLog.style.fontFamily = "monospace";
+  experimentLog.style.whiteSpace = "pre";
+  experimentLog.style.opacity = "0.85";
+
+  experimentSection.appendChild(experimentRow1);
+  experimentSection.appendChild(experimentRow2);
+  experimentSection.appendChild(experimentBriefLabel);
+  experimentSection.appendChild(experimentStatusLabel);
+  experimentSection.appendChild(experimentLog);
+
+  /***************************************************************
+   * SECTION: MEASURE
+   ***************************************************************/
+  const measureSection = createSection("Measure");
+
+  const measureRow1 = document.createElement("div");
+  rulerBtn = document.createElement("button");
+  rulerBtn.textContent = "Ruler";
+  rulerBtn.style.fontSize = "12px";
+  protractorBtn = document.createElement("button");
+  protractorBtn.textContent = "Protractor";
+  protractorBtn.style.marginLeft = "4px";
+  protractorBtn.style.fontSize = "12px";
+  clearMeasurementsBtn = document.createElement("button");
+  clearMeasurementsBtn.textContent = "Clear Measurements";
+  clearMeasurementsBtn.style.marginLeft = "4px";
+  clearMeasurementsBtn.style.fontSize = "12px";
+  measureRow1.appendChild(rulerBtn);
+  measureRow1.appendChild(protractorBtn);
+  measureRow1.appendChild(clearMeasurementsBtn);
+
+  const measureRow2 = document.createElement("div");
+  measureRow2.style.fontSize = "12px";
+  measureRow2.style.marginTop = "4px";
+  const stopwatchLabel = document.createElement("label");
+  stopwatchCheckbox = document.createElement("input");
+  stopwatchCheckbox.type = "checkbox";
+  stopwatchLabel.appendChild(stopwatchCheckbox);
+  stopwatchLabel.appendChild(document.createTextNode(" Stopwatch (spawn / gravity → floor)"));
+  measureRow2.appendChild(stopwatchLabel);
+
+  measureInfoLabel = document.createElement("div");
+  measureInfoLabel.style.fontSize = "11px";
+  measureInfoLabel.style.marginTop = "4px";
+  measureInfoLabel.style.opacity = "0.85";
+
+  measureSection.appendChild(measureRow1);
+  measureSection.appendChild(measureRow2);
+  measureSection.appendChild(measureInfoLabel);
+
+  /***************************************************************
+   * SECTION: ORBITAL SANDBOX
+   ***************************************************************/
+  const orbitSection = createSection("Orbital Sandbox");
+
+  const orbitRow1 = document.createElement("div");
+  orbitRow1.style.fontSize = "12px";
+  const orbitToggleLabel = document.createElement("label");
+  orbitModeCheckbox = document.createElement("input");
+  orbitModeCheckbox.type = "checkbox";
+  orbitToggleLabel.appendChild(orbitModeCheckbox);
+  orbitToggleLabel.appendChild(document.createTextNode(" Orbit mode (launcher uses attractors)"));
+  orbitRow1.appendChild(orbitToggleLabel);
+
+  const orbitRow2 = document.createElement("div");
+  orbitRow2.style.marginTop = "4px";
+  placePlanetBtn = document.createElement("button");
+  placePlanetBtn.textContent = "Place Planet";
+  placePlanetBtn.style.fontSize = "12px";
+  placeMoonBtn = document.createElement("button");
+  placeMoonBtn.textContent = "Place Moon";
+  placeMoonBtn.style.marginLeft = "4px";
+  placeMoonBtn.style.fontSize = "12px";
+  clearAttractorsBtn = document.createElement("button");
+  clearAttractorsBtn.textContent = "Clear";
+  clearAttractorsBtn.style.marginLeft = "4px";
+  clearAttractorsBtn.style.fontSize = "12px";
+  orbitRow2.appendChild(placePlanetBtn);
+  orbitRow2.appendChild(placeMoonBtn);
+  orbitRow2.appendChild(clearAttractorsBtn);
+
+  const orbitRow3 = createNumberRow("Launch altitude: ", "1.5", "0.1");
+  orbitRow3.row.style.marginTop = "4px";
+  launchAltitudeInput = orbitRow3.input;
+
+  orbitInfoLabel = document.createElement("div");
+  orbitInfoLabel.style.fontSize = "11px";
+  orbitInfoLabel.style.marginTop = "4px";
+  orbitInfoLabel.style.opacity = "0.85";
+  orbitInfoLabel.style.whiteSpace = "pre-line";
+
+  orbitSection.appendChild(orbitRow1);
+  orbitSection.appendChild(orbitRow2);
+  orbitSection.appendChild(orbitRow3.row);
+  orbitSection.appendChild(orbitInfoLabel);
+
+  /***************************************************************
+   * SECTION: TRANSFORM
+   ***************************************************************/
+  const transformSection = createSection("Transform");
+
+  const trRow1 = document.createElement("div");
+  trRow1.style.fontSize = "12px";
+  trRow1.textContent = "Gizmo: ";
+  gizmoModeSelect = document.createElement("select");
+  gizmoModeSelect.style.fontSize = "12px";
+  [
+    ["off", "Off"],
+    ["translate", "Move"],
+    ["rotate", "Rotate"],
+    ["scale", "Scale"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    gizmoModeSelect.appendChild(opt);
+  });
+  gizmoModeSelect.value = gizmoState.mode;
+  trRow1.appendChild(gizmoModeSelect);
+
+  const trRow2 = document.createElement("div");
+  trRow2.style.fontSize = "12px";
+  trRow2.style.marginTop = "4px";
+  const snapLabel = document.createElement("label");
+  snapCheckbox = document.createElement("input");
+  snapCheckbox.type = "checkbox";
+  snapLabel.appendChild(snapCheckbox);
+  snapLabel.appendChild(document.createTextNode(" Snap – grid (m): "));
+  gridStepInput = document.createElement("input");
+  gridStepInput.type = "number";
+  gridStepInput.step = "0.1";
+  gridStepInput.value = "0.5";
+  gridStepInput.style.width = "50px";
+  trRow2.appendChild(snapLabel);
+  trRow2.appendChild(gridStepInput);
+
+  resumeAnimationBtn = document.createElement("button");
+  resumeAnimationBtn.textContent = "Resume Animation";
+  resumeAnimationBtn.style.marginTop = "4px";
+  resumeAnimationBtn.style.fontSize = "12px";
+
+  transformLabel = document.createElement("div");
+  transformLabel.style.fontSize = "11px";
+  transformLabel.style.marginTop = "4px";
+  transformLabel.style.whiteSpace = "pre-line";
+  transformLabel.style.fontFamily = "monospace";
+
+  transformSection.appendChild(trRow1);
+  transformSection.appendChild(trRow2);
+  transformSection.appendChild(resumeAnimationBtn);
+  transformSection.appendChild(transformLabel);
+
+  /***************************************************************
+   * SECTION: OBJECT BUILDER
+   ***************************************************************/
+  const builderSection = createSection("Object Builder");
+
+  const builderRow1 = document.createElement("div");
+  builderRow1.style.fontSize = "12px";
+  builderRow1.textContent = "Shape: ";
+  builderShapeSelect = document.createElement("select");
+  builderShapeSelect.style.fontSize = "12px";
+  Object.entries(builderShapes).forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    builderShapeSelect.appendChild(opt);
+  });
+  builderRow1.appendChild(builderShapeSelect);
+
+  const builderRow2 = createNumberRow("Size (scale): ", "1", "0.1");
+  builderSizeInput = builderRow2.input;
+  const builderRow3 = createNumberRow("Mass (kg): ", "1", "0.1");
+  builderMassInput = builderRow3.input;
+  const builderRow4 = createNumberRow("Restitution: ", "0.4", "0.05");
+  builderRestitutionInput = builderRow4.input;
+  const builderRow5 = createNumberRow("Friction: ", "0.5", "0.05");
+  builderFrictionInput = builderRow5.input;
+
+  const builderRow6 = document.createElement("div");
+  builderRow6.style.fontSize = "12px";
+  builderRow6.style.marginTop = "4px";
+  builderRow6.textContent = "Color: ";
+  builderColorInput = document.createElement("input");
+  builderColorInput.type = "color";
+  builderColorInput.value = "#4dabf7";
+  builderMaterialSelect = document.createElement("select");
+  builderMaterialSelect.style.marginLeft = "6px";
+  builderMaterialSelect.style.fontSize = "12px";
+  Object.entries(builderMaterials).forEach(([value, m]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = m.label;
+    builderMaterialSelect.appendChild(opt);
+  });
+  builderRow6.appendChild(builderColorInput);
+  builderRow6.appendChild(builderMaterialSelect);
+
+  const builderRow7 = document.createElement("div");
+  builderRow7.style.marginTop = "4px";
+  builderPlaceBtn = document.createElement("button");
+  builderPlaceBtn.textContent = "Place on Floor";
+  builderPlaceBtn.style.fontSize = "12px";
+  builderApplyBtn = document.createElement("button");
+  builderApplyBtn.textContent = "Apply to Selected";
+  builderApplyBtn.style.marginLeft = "4px";
+  builderApplyBtn.style.fontSize = "12px";
+  builderDeleteBtn = document.createElement("button");
+  builderDeleteBtn.textContent = "Delete Object";
+  builderDeleteBtn.style.marginLeft = "4px";
+  builderDeleteBtn.style.fontSize = "12px";
+  builderRow7.appendChild(builderPlaceBtn);
+  builderRow7.appendChild(builderApplyBtn);
+  builderRow7.appendChild(builderDeleteBtn);
+
+  builderInfoLabel = document.createElement("div");
+  builderInfoLabel.style.fontSize = "11px";
+  builderInfoLabel.style.marginTop = "4px";
+  builderInfoLabel.style.opacity = "0.85";
+
+  builderSection.appendChild(builderRow1);
+  builderSection.appendChild(builderRow2.row);
+  builderSection.appendChild(builderRow3.row);
+  builderSection.appendChild(builderRow4.row);
+  builderSection.appendChild(builderRow5.row);
+  builderSection.appendChild(builderRow6);
+  builderSection.appendChild(builderRow7);
+  builderSection.appendChild(builderInfoLabel);
+
+  /***************************************************************
+   * SECTION: INCLINED PLANE
+   ***************************************************************/
+  const inclineSection = createSection("Inclined Plane");
+
+  const incRow1 = createNumberRow("Angle (°): ", "30", "1");
+  inclineAngleInput = incRow1.input;
+  const incRow2 = createNumberRow("Length (m): ", "4", "0.5");
+  inclineLengthInput = incRow2.input;
+  const incRow3 = createNumberRow("Static μs: ", "0.5", "0.05");
+  staticFrictionInput = incRow3.input;
+  const incRow4 = createNumberRow("Kinetic μk: ", "0.3", "0.05");
+  kineticFrictionInput = incRow4.input;
+
+  const incRow5 = document.createElement("div");
+  incRow5.style.marginTop = "4px";
+  placeInclineBtn = document.createElement("button");
+  placeInclineBtn.textContent = "Place Incline";
+  placeInclineBtn.style.fontSize = "12px";
+  updateInclineBtn = document.createElement("button");
+  updateInclineBtn.textContent = "Update Incline";
+  updateInclineBtn.style.marginLeft = "4px";
+  updateInclineBtn.style.fontSize = "12px";
+  incRow5.appendChild(placeInclineBtn);
+  incRow5.appendChild(updateInclineBtn);
+
+  const incRow6 = document.createElement("div");
+  incRow6.style.marginTop = "4px";
+  dropBlockBtn = document.createElement("button");
+  dropBlockBtn.textContent = "Drop Block";
+  dropBlockBtn.style.fontSize = "12px";
+  clearInclinesBtn = document.createElement("button");
+  clearInclinesBtn.textContent = "Clear Inclines";
+  clearInclinesBtn.style.marginLeft = "4px";
+  clearInclinesBtn.style.fontSize = "12px";
+  incRow6.appendChild(dropBlockBtn);
+  incRow6.appendChild(clearInclinesBtn);
+
+  const incRow7 = document.createElement("div");
+  incRow7.style.fontSize = "12px";
+  incRow7.style.marginTop = "4px";
+  const forceLabel = document.createElement("label");
+  forceDiagramCheckbox = document.createElement("input");
+  forceDiagramCheckbox.type = "checkbox";
+  forceDiagramCheckbox.checked = true;
+  forceLabel.appendChild(forceDiagramCheckbox);
+  forceLabel.appendChild(document.createTextNode(" Show force diagram"));
+  incRow7.appendChild(forceLabel);
+
+  inclineInfoLabel = document.createElement("div");
+  inclineInfoLabel.style.fontSize = "11px";
+  inclineInfoLabel.style.marginTop = "4px";
+  inclineInfoLabel.style.whiteSpace = "pre-line";
+
+  inclineSection.appendChild(incRow1.row);
+  inclineSection.appendChild(incRow2.row);
+  inclineSection.appendChild(incRow3.row);
+  inclineSection.appendChild(incRow4.row);
+  inclineSection.appendChild(incRow5);
+  inclineSection.appendChild(incRow6);
+  inclineSection.appendChild(incRow7);
+  inclineSection.appendChild(inclineInfoLabel);
+
+  /***************************************************************
+   * SECTION: FLUID TANK
+   ***************************************************************/
+  const fluidSection = createSection("Fluid Tank");
+
+  const fluidRow1 = document.createElement("div");
+  fluidRow1.style.fontSize = "12px";
+  fluidRow1.textContent = "Fluid: ";
+  fluidPresetSelect = document.createElement("select");
+  fluidPresetSelect.style.fontSize = "12px";
+  Object.entries(fluidPresets).forEach(([value, f]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = `${f.label} (${f.density} kg/m³)`;
+    fluidPresetSelect.appendChild(opt);
+  });
+  fluidRow1.appendChild(fluidPresetSelect);
+
+  const fluidRow2 = createNumberRow("Width (m): ", "4", "0.5");
+  tankWidthInput = fluidRow2.input;
+  const fluidRow3 = createNumberRow("Length (m): ", "4", "0.5");
+  tankLengthInput = fluidRow3.input;
+  const fluidRow4 = createNumberRow("Fluid depth (m): ", "2", "0.25");
+  tankDepthInput = fluidRow4.input;
+
+  const fluidRow5 = document.createElement("div");
+  fluidRow5.style.marginTop = "4px";
+  placeTankBtn = document.createElement("button");
+  placeTankBtn.textContent = "Place Tank";
+  placeTankBtn.style.fontSize = "12px";
+  clearTanksBtn = document.createElement("button");
+  clearTanksBtn.textContent = "Clear Tanks";
+  clearTanksBtn.style.marginLeft = "4px";
+  clearTanksBtn.style.fontSize = "12px";
+  fluidRow5.appendChild(placeTankBtn);
+  fluidRow5.appendChild(clearTanksBtn);
+
+  fluidInfoLabel = document.createElement("div");
+  fluidInfoLabel.style.fontSize = "11px";
+  fluidInfoLabel.style.marginTop = "4px";
+  fluidInfoLabel.style.opacity = "0.85";
+  fluidInfoLabel.textContent = "Spawned spheres drop into the newest tank.";
+
+  fluidSection.appendChild(fluidRow1);
+  fluidSection.appendChild(fluidRow2.row);
+  fluidSection.appendChild(fluidRow3.row);
+  fluidSection.appendChild(fluidRow4.row);
+  fluidSection.appendChild(fluidRow5);
+  fluidSection.appendChild(fluidInfoLabel);
+
+  /***************************************************************
+   * SECTION: JOINTS & SPRINGS
+   ***************************************************************/
+  const jointSection = createSection("Joints & Springs");
+
+  const jointRow1 = document.createElement("div");
+  jointRow1.style.fontSize = "12px";
+  jointRow1.textContent = "Type: ";
+  jointTypeSelect = document.createElement("select");
+  jointTypeSelect.style.fontSize = "12px";
+  [
+    ["spring", "Spring"],
+    ["rod", "Rigid rod"],
+    ["rope", "Rope"],
+    ["hinge", "Hinge"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    jointTypeSelect.appendChild(opt);
+  });
+  jointRow1.appendChild(jointTypeSelect);
+
+  const jointRow2 = createNumberRow("Stiffness k (N/m): ", "40", "5");
+  jointStiffnessInput = jointRow2.input;
+  const jointRow3 = createNumberRow("Damping c (N·s/m): ", "0.5", "0.1");
+  jointDampingInput = jointRow3.input;
+  const jointRow4 = createNumberRow("Rest length (m): ", "", "0.1");
+  jointRestInput = jointRow4.input;
+  jointRestInput.placeholder = "auto";
+  const jointRow5 = createNumberRow("Body mass (kg): ", "1", "0.1");
+  jointMassInput = jointRow5.input;
+  const jointRow6 = createNumberRow("Anchor height (m): ", "3", "0.1");
+  jointAnchorHeightInput = jointRow6.input;
+
+  const jointRow7 = document.createElement("div");
+  jointRow7.style.marginTop = "4px";
+  jointPickBtn = document.createElement("button");
+  jointPickBtn.textContent = "Pick First";
+  jointPickBtn.style.fontSize = "12px";
+  jointConnectBtn = document.createElement("button");
+  jointConnectBtn.textContent = "Connect to Selected";
+  jointConnectBtn.style.marginLeft = "4px";
+  jointConnectBtn.style.fontSize = "12px";
+  jointRow7.appendChild(jointPickBtn);
+  jointRow7.appendChild(jointConnectBtn);
+
+  const jointRow8 = document.createElement("div");
+  jointRow8.style.marginTop = "4px";
+  jointAnchorBtn = document.createElement("button");
+  jointAnchorBtn.textContent = "Hang from Anchor";
+  jointAnchorBtn.style.fontSize = "12px";
+  jointRemoveLastBtn = document.createElement("button");
+  jointRemoveLastBtn.textContent = "Remove Last";
+  jointRemoveLastBtn.style.marginLeft = "4px";
+  jointRemoveLastBtn.style.fontSize = "12px";
+  jointRemoveAllBtn = document.createElement("button");
+  jointRemoveAllBtn.textContent = "Remove All";
+  jointRemoveAllBtn.style.marginLeft = "4px";
+  jointRemoveAllBtn.style.fontSize = "12px";
+  jointRow8.appendChild(jointAnchorBtn);
+  jointRow8.appendChild(jointRemoveLastBtn);
+  jointRow8.appendChild(jointRemoveAllBtn);
+
+  jointInfoLabel = document.createElement("div");
+  jointInfoLabel.style.fontSize = "11px";
+  jointInfoLabel.style.marginTop = "4px";
+  jointInfoLabel.style.opacity = "0.85";
+  jointInfoLabel.textContent = "Select an object, press Pick First, select another, then Connect.";
+
+  jointSection.appendChild(jointRow1);
+  jointSection.appendChild(jointRow2.row);
+  jointSection.appendChild(jointRow3.row);
+  jointSection.appendChild(jointRow4.row);
+  jointSection.appendChild(jointRow5.row);
+  jointSection.appendChild(jointRow6.row);
+  jointSection.appendChild(jointRow7);
+  jointSection.appendChild(jointRow8);
+  jointSection.appendChild(jointInfoLabel);
 
     /***************************************************************
      * SECTION: OBJECT SPAWN
@@ -508,8 +1665,62 @@ function createUI() {
     spawnSphereBtn.textContent = "Spawn Falling Sphere";
     spawnSphereBtn.style.fontSize = "12px";
 
+    const spawnRow1 = createNumberRow("Sphere density (kg/m³): ", String(defaultDensity), "100");
+    sphereDensityInput = spawnRow1.input;
+
+    spawnSection.appendChild(spawnRow1.row);
     spawnSection.appendChild(spawnSphereBtn);
 
+  /***************************************************************
+   * SECTION: EXPLOSIONS
+   ***************************************************************/
+  const explosionSection = createSection("Explosions");
+
+  const explosionRow1 = createNumberRow("Impulse at centre (N·s): ", "200", "50");
+  explosionStrengthInput = explosionRow1.input;
+  const explosionRow2 = createNumberRow("Radius (m): ", "4", "0.5");
+  explosionRadiusInput = explosionRow2.input;
+
+  const explosionRow3 = document.createElement("div");
+  explosionRow3.style.fontSize = "12px";
+  explosionRow3.textContent = "Falloff: ";
+  explosionFalloffSelect = document.createElement("select");
+  explosionFalloffSelect.style.fontSize = "12px";
+  Object.entries(explosionFalloffs).forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    explosionFalloffSelect.appendChild(opt);
+  });
+  explosionRow3.appendChild(explosionFalloffSelect);
+
+  const explosionRow4 = document.createElement("div");
+  explosionRow4.style.fontSize = "12px";
+  const explosionRepeatLabel = document.createElement("label");
+  explosionRepeatCheckbox = document.createElement("input");
+  explosionRepeatCheckbox.type = "checkbox";
+  explosionRepeatLabel.appendChild(explosionRepeatCheckbox);
+  explosionRepeatLabel.appendChild(document.createTextNode(" Stay armed (every click explodes)"));
+  explosionRow4.appendChild(explosionRepeatLabel);
+
+  placeExplosionBtn = document.createElement("button");
+  placeExplosionBtn.textContent = "Place Explosion";
+  placeExplosionBtn.style.marginTop = "4px";
+  placeExplosionBtn.style.fontSize = "12px";
+
+  explosionInfoLabel = document.createElement("div");
+  explosionInfoLabel.style.fontSize = "11px";
+  explosionInfoLabel.style.marginTop = "4px";
+  explosionInfoLabel.style.opacity = "0.85";
+  explosionInfoLabel.textContent = "Press Place Explosion, then click an object or the floor. Esc disarms.";
+
+  explosionSection.appendChild(explosionRow1.row);
+  explosionSection.appendChild(explosionRow2.row);
+  explosionSection.appendChild(explosionRow3);
+  explosionSection.appendChild(explosionRow4);
+  explosionSection.appendChild(placeExplosionBtn);
+  explosionSection.appendChild(explosionInfoLabel);
+
 
     /***************************************************************
      * SECTION: ANIMATION SPEED
@@ -525,7 +1736,7 @@ function createUI() {
     speedTargetSelect = document.createElement("select");
     speedTargetSelect.style.fontSize = "12px";
 
-    ["sphere", "torus", "cube", "all"].forEach((val) => {
+    ["sphere", "torus", "cube", "all", "selected"].forEach((val) => {
       const opt = document.createElement("option");
       opt.value = val;
       opt.textContent = val.charAt(0).toUpperCase() + val.slice(1);
@@ -561,6 +1772,138 @@ function createUI() {
     speedSection.appendChild(speedRow2);
 
 
+  /***************************************************************
+   * SECTION: SIMULATION
+   ***************************************************************/
+  const simSection = createSection("Simulation");
+
+  const simRow1 = document.createElement("div");
+  simRow1.style.fontSize = "12px";
+  simRow1.textContent = "Step rate: ";
+  stepRateSelect = document.createElement("select");
+  stepRateSelect.style.fontSize = "12px";
+  [30, 60, 120, 240].forEach((hz) => {
+    const opt = document.createElement("option");
+    opt.value = String(hz);
+    opt.textContent = `${hz} Hz`;
+    stepRateSelect.appendChild(opt);
+  });
+  stepRateSelect.value = String(Math.round(1 / physicsSettings.fixedDelta));
+  simRow1.appendChild(stepRateSelect);
+
+  const simRow2 = document.createElement("div");
+  simRow2.style.fontSize = "12px";
+  simRow2.style.marginTop = "4px";
+  simRow2.textContent = "Sub-steps: ";
+  subStepsInput = document.createElement("input");
+  subStepsInput.type = "number";
+  subStepsInput.min = "1";
+  subStepsInput.max = "16";
+  subStepsInput.step = "1";
+  subStepsInput.value = String(physicsSettings.subSteps);
+  subStepsInput.style.width = "60px";
+  simRow2.appendChild(subStepsInput);
+
+  simSection.appendChild(simRow1);
+  simSection.appendChild(simRow2);
+
+
+  /***************************************************************
+   * SECTION: SCENE SAVE / LOAD
+   ***************************************************************/
+  const sceneSection = createSection("Scene");
+
+  const sceneRow1 = document.createElement("div");
+  saveSceneBtn = document.createElement("button");
+  saveSceneBtn.textContent = "Save JSON";
+  saveSceneBtn.style.fontSize = "12px";
+  loadSceneBtn = document.createElement("button");
+  loadSceneBtn.textContent = "Load JSON";
+  loadSceneBtn.style.marginLeft = "4px";
+  loadSceneBtn.style.fontSize = "12px";
+  shareSceneBtn = document.createElement("button");
+  shareSceneBtn.textContent = "Copy Share Link";
+  shareSceneBtn.style.marginLeft = "4px";
+  shareSceneBtn.style.fontSize = "12px";
+  sceneRow1.appendChild(saveSceneBtn);
+  sceneRow1.appendChild(loadSceneBtn);
+  sceneRow1.appendChild(shareSceneBtn);
+
+  loadSceneInput = document.createElement("input");
+  loadSceneInput.type = "file";
+  loadSceneInput.accept = ".json,application/json";
+  loadSceneInput.style.display = "none";
+
+  shareLinkInput = document.createElement("input");
+  shareLinkInput.type = "text";
+  shareLinkInput.readOnly = true;
+  shareLinkInput.placeholder = "share link appears here";
+  shareLinkInput.style.width = "100%";
+  shareLinkInput.style.marginTop = "4px";
+  shareLinkInput.style.fontSize = "11px";
+  shareLinkInput.style.boxSizing = "border-box";
+
+  sceneSection.appendChild(sceneRow1);
+  sceneSection.appendChild(loadSceneInput);
+  sceneSection.appendChild(shareLinkInput);
+
+
+  /***************************************************************
+   * SECTION: TELEMETRY
+   ***************************************************************/
+  const telemetrySection = createSection("Telemetry");
+
+  const telRow1 = document.createElement("div");
+  telRow1.style.fontSize = "12px";
+  telRow1.textContent = "Show: ";
+  telemetryScopeSelect = document.createElement("select");
+  telemetryScopeSelect.style.fontSize = "12px";
+  [
+    ["selected", "Selected scene object (gravity / joint)"],
+    ["system", "Whole system"]
+  ].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    telemetryScopeSelect.appendChild(opt);
+  });
+  telRow1.appendChild(telemetryScopeSelect);
+
+  const telLegend = document.createElement("div");
+  telLegend.style.fontSize = "11px";
+  telLegend.style.marginTop = "4px";
+  telLegend.innerHTML =
+    `<span style="color:${telemetryColors.kinetic}">■ KE</span> ` +
+    `<span style="color:${telemetryColors.potential}">■ PE</span> ` +
+    `<span style="color:${telemetryColors.total}">■ Total</span> ` +
+    `<span style="color:${telemetryColors.momentum}">■ |p|</span>`;
+
+  telemetryEnergyCanvas = document.createElement("canvas");
+  telemetryEnergyCanvas.width = 240;
+  telemetryEnergyCanvas.height = 70;
+  telemetryEnergyCanvas.style.display = "block";
+  telemetryEnergyCanvas.style.marginTop = "4px";
+  telemetryEnergyCanvas.style.background = "rgba(255, 255, 255, 0.05)";
+
+  telemetryMomentumCanvas = document.createElement("canvas");
+  telemetryMomentumCanvas.width = 240;
+  telemetryMomentumCanvas.height = 40;
+  telemetryMomentumCanvas.style.display = "block";
+  telemetryMomentumCanvas.style.marginTop = "2px";
+  telemetryMomentumCanvas.style.background = "rgba(255, 255, 255, 0.05)";
+
+  telemetryLabel = document.createElement("div");
+  telemetryLabel.style.fontSize = "11px";
+  telemetryLabel.style.marginTop = "4px";
+  telemetryLabel.style.whiteSpace = "pre-line";
+
+  telemetrySection.appendChild(telRow1);
+  telemetrySection.appendChild(telLegend);
+  telemetrySection.appendChild(telemetryEnergyCanvas);
+  telemetrySection.appendChild(telemetryMomentumCanvas);
+  telemetrySection.appendChild(telemetryLabel);
+
+
   /***************************************************************
    * SECTION: VISUAL EFFECTS
    ***************************************************************/
@@ -570,30 +1913,351 @@ function createUI() {
   glassModeBtn.textContent = "Toggle Glass Mode (Cone)";
   glassModeBtn.style.fontSize = "12px";
 
+  const vectorRow = document.createElement("div");
+  vectorRow.style.fontSize = "12px";
+  vectorRow.style.marginTop = "4px";
+  const vectorLabel = document.createElement("label");
+  vectorOverlayCheckbox = document.createElement("input");
+  vectorOverlayCheckbox.type = "checkbox";
+  vectorLabel.appendChild(vectorOverlayCheckbox);
+  vectorLabel.appendChild(document.createTextNode(" Show motion vectors"));
+  vectorRow.appendChild(vectorLabel);
+
+  const vectorLegend = document.createElement("div");
+  vectorLegend.style.fontSize = "11px";
+  vectorLegend.innerHTML =
+    `<span style="color:#22d3ee">■ velocity</span> ` +
+    `<span style="color:#e879f9">■ acceleration</span> ` +
+    `<span style="color:#ff922b">■ net force</span><br>Hover a moving body for values.`;
+
+  const colliderRow = document.createElement("div");
+  colliderRow.style.fontSize = "12px";
+  colliderRow.style.marginTop = "4px";
+  const colliderLabel = document.createElement("label");
+  colliderDebugCheckbox = document.createElement("input");
+  colliderDebugCheckbox.type = "checkbox";
+  colliderLabel.appendChild(colliderDebugCheckbox);
+  colliderLabel.appendChild(document.createTextNode(" Show colliders"));
+  colliderRow.appendChild(colliderLabel);
+
+  const colliderLegend = document.createElement("div");
+  colliderLegend.style.fontSize = "11px";
+  colliderLegend.innerHTML =
+    `<span style="color:#22d3ee">■ sphere</span> ` +
+    `<span style="color:#e879f9">■ capsule</span> ` +
+    `<span style="color:#69db7c">■ oriented box</span> ` +
+    `<span style="color:#ffa94d">■ hull</span>`;
+
   visualSection.appendChild(glassModeBtn);
+  visualSection.appendChild(vectorRow);
+  visualSection.appendChild(vectorLegend);
+  visualSection.appendChild(colliderRow);
+  visualSection.appendChild(colliderLegend);
+
+
+  /***************************************************************
+   * SECTION: CAMERA
+   ***************************************************************/
+  const cameraSection = createSection("Camera");
+
+  const camRow1 = document.createElement("div");
+  camRow1.style.fontSize = "12px";
+  camRow1.textContent = "View: ";
+  cameraBookmarkSelect = document.createElement("select");
+  cameraBookmarkSelect.style.fontSize = "12px";
+  camRow1.appendChild(cameraBookmarkSelect);
+  cameraGoBtn = document.createElement("button");
+  cameraGoBtn.textContent = "Go";
+  cameraGoBtn.style.fontSize = "12px";
+  cameraGoBtn.style.marginLeft = "4px";
+  camRow1.appendChild(cameraGoBtn);
+  refreshCameraBookmarkOptions();
+
+  const camRow2 = document.createElement("div");
+  camRow2.style.fontSize = "12px";
+  camRow2.style.marginTop = "4px";
+  cameraBookmarkNameInput = document.createElement("input");
+  cameraBookmarkNameInput.type = "text";
+  cameraBookmarkNameInput.placeholder = "Bookmark name";
+  cameraBookmarkNameInput.style.width = "110px";
+  camRow2.appendChild(cameraBookmarkNameInput);
+  cameraSaveBtn = document.createElement("button");
+  cameraSaveBtn.textContent = "Save View";
+  cameraSaveBtn.style.fontSize = "12px";
+  cameraSaveBtn.style.marginLeft = "4px";
+  camRow2.appendChild(cameraSaveBtn);
+  cameraDeleteBtn = document.createElement("button");
+  cameraDeleteBtn.textContent = "Delete View";
+  cameraDeleteBtn.style.fontSize = "12px";
+  cameraDeleteBtn.style.marginLeft = "4px";
+  camRow2.appendChild(cameraDeleteBtn);
+
+  const camRow3 = document.createElement("div");
+  camRow3.style.fontSize = "12px";
+  camRow3.style.marginTop = "4px";
+  focusSelectedBtn = document.createElement("button");
+  focusSelectedBtn.textContent = "Focus Selected";
+  focusSelectedBtn.style.fontSize = "12px";
+  camRow3.appendChild(focusSelectedBtn);
+  const followLabel = document.createElement("label");
+  followLabel.style.marginLeft = "8px";
+  followProjectileCheckbox = document.createElement("input");
+  followProjectileCheckbox.type = "checkbox";
+  followLabel.appendChild(followProjectileCheckbox);
+  followLabel.appendChild(document.createTextNode(" Follow projectile"));
+  camRow3.appendChild(followLabel);
+
+  cameraSection.appendChild(camRow1);
+  cameraSection.appendChild(camRow2);
+  cameraSection.appendChild(camRow3);
 
 
   /***************************************************************
    * SECTION: SELECTED OBJECT INFO
    ***************************************************************/
-  const infoSection = createSection("Selected Object");
+  const infoSection = createSection("Selection");
 
   const lastRow = document.createElement("div");
   lastRow.style.fontSize = "12px";
-  lastRow.innerHTML = `Last clicked: <span id="lastClickedLabel">None</span>`;
+  lastRow.innerHTML = `Selected: <span id="lastClickedLabel">None</span>`;
   lastClickedLabel = lastRow.querySelector("#lastClickedLabel");
 
+  const selRow2 = document.createElement("div");
+  selRow2.style.fontSize = "12px";
+  selRow2.style.marginTop = "4px";
+  selectionColorInput = document.createElement("input");
+  selectionColorInput.type = "color";
+  selectionColorInput.value = "#4dabf7";
+  selRow2.appendChild(selectionColorInput);
+  selectionColorBtn = document.createElement("button");
+  selectionColorBtn.textContent = "Apply Color";
+  selectionColorBtn.style.fontSize = "12px";
+  selectionColorBtn.style.marginLeft = "4px";
+  selRow2.appendChild(selectionColorBtn);
+
+  const selRow3 = document.createElement("div");
+  selRow3.style.marginTop = "4px";
+  selectionDeleteBtn = document.createElement("button");
+  selectionDeleteBtn.textContent = "Delete Selection";
+  selectionDeleteBtn.style.fontSize = "12px";
+  selRow3.appendChild(selectionDeleteBtn);
+  selectionClearBtn = document.createElement("button");
+  selectionClearBtn.textContent = "Clear Selection";
+  selectionClearBtn.style.fontSize = "12px";
+  selectionClearBtn.style.marginLeft = "4px";
+  selRow3.appendChild(selectionClearBtn);
+
   infoSection.appendChild(lastRow);
+  infoSection.appendChild(selRow2);
+  infoSection.appendChild(selRow3);
+
+
+  /***************************************************************
+   * SECTION: MATERIAL LAB
+   ***************************************************************/
+  const materialSection = createSection("Material Lab");
+
+  const materialRow1 = document.createElement("div");
+  materialRow1.style.fontSize = "12px";
+  materialRow1.textContent = "Color: ";
+  materialColorInput = document.createElement("input");
+  materialColorInput.type = "color";
+  materialColorInput.value = "#ffffff";
+  materialRow1.appendChild(materialColorInput);
+
+  const materialRow2 = createNumberRow("Metalness (0–1): ", "0", "0.05");
+  materialMetalnessInput = materialRow2.input;
+  const materialRow3 = createNumberRow("Roughness (0–1): ", "0.5", "0.05");
+  materialRoughnessInput = materialRow3.input;
+  const materialRow4 = createNumberRow("Transmission (0–1): ", "0", "0.05");
+  materialTransmissionInput = materialRow4.input;
+
+  const materialRow5 = document.createElement("div");
+  materialRow5.style.fontSize = "12px";
+  materialRow5.textContent = "Emissive: ";
+  materialEmissiveInput = document.createElement("input");
+  materialEmissiveInput.type = "color";
+  materialEmissiveInput.value = "#000000";
+  materialRow5.appendChild(materialEmissiveInput);
+  const materialRow6 = createNumberRow("Emissive intensity: ", "1", "0.1");
+  materialEmissiveIntensityInput = materialRow6.input;
+
+  const createTextureSelect = () => {
+    const select = document.createElement("select");
+    select.style.fontSize = "12px";
+    [["none", "None"], ...Object.entries(floorTextures).map(([key, t]) => [key, t.label])].forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    });
+    return select;
+  };
+  const materialRow7 = document.createElement("div");
+  materialRow7.style.fontSize = "12px";
+  materialRow7.textContent = "Color map: ";
+  materialMapSelect = createTextureSelect();
+  materialRow7.appendChild(materialMapSelect);
+  materialRow7.appendChild(document.createTextNode(" Bump: "));
+  materialBumpSelect = createTextureSelect();
+  materialRow7.appendChild(materialBumpSelect);
+
+  const materialRow8 = document.createElement("div");
+  materialRow8.style.marginTop = "4px";
+  materialApplyBtn = document.createElement("button");
+  materialApplyBtn.textContent = "Apply Material";
+  materialApplyBtn.style.fontSize = "12px";
+  materialResetBtn = document.createElement("button");
+  materialResetBtn.textContent = "Reset Material";
+  materialResetBtn.style.marginLeft = "4px";
+  materialResetBtn.style.fontSize = "12px";
+  materialRow8.appendChild(materialApplyBtn);
+  materialRow8.appendChild(materialResetBtn);
+
+  materialInfoLabel = document.createElement("div");
+  materialInfoLabel.style.fontSize = "11px";
+  materialInfoLabel.style.marginTop = "4px";
+  materialInfoLabel.style.opacity = "0.85";
+  materialInfoLabel.textContent = "Edits every selected object.";
+
+  materialSection.appendChild(materialRow1);
+  materialSection.appendChild(materialRow2.row);
+  materialSection.appendChild(materialRow3.row);
+  materialSection.appendChild(materialRow4.row);
+  materialSection.appendChild(materialRow5);
+  materialSection.appendChild(materialRow6.row);
+  materialSection.appendChild(materialRow7);
+  materialSection.appendChild(materialRow8);
+  materialSection.appendChild(materialInfoLabel);
+
+  /***************************************************************
+   * SECTION: LIGHTING
+   ***************************************************************/
+  const lightSection = createSection("Lighting");
+
+  const lightRow1 = document.createElement("div");
+  lightRow1.style.fontSize = "12px";
+  lightRow1.textContent = "Light: ";
+  lightSelect = document.createElement("select");
+  lightSelect.style.fontSize = "12px";
+  lightRemoveBtn = document.createElement("button");
+  lightRemoveBtn.textContent = "Remove Light";
+  lightRemoveBtn.style.marginLeft = "4px";
+  lightRemoveBtn.style.fontSize = "12px";
+  lightRow1.appendChild(lightSelect);
+  lightRow1.appendChild(lightRemoveBtn);
+
+  const lightRow2 = document.createElement("div");
+  lightRow2.style.fontSize = "12px";
+  lightRow2.style.marginTop = "4px";
+  lightRow2.textContent = "New: ";
+  lightTypeSelect = document.createElement("select");
+  lightTypeSelect.style.fontSize = "12px";
+  Object.entries(lightTypes).forEach(([value, t]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = t.label;
+    lightTypeSelect.appendChild(opt);
+  });
+  lightTypeSelect.value = "point";
+  lightAddBtn = document.createElement("button");
+  lightAddBtn.textContent = "Add Light";
+  lightAddBtn.style.marginLeft = "4px";
+  lightAddBtn.style.fontSize = "12px";
+  lightRow2.appendChild(lightTypeSelect);
+  lightRow2.appendChild(lightAddBtn);
+
+  const lightRow3 = document.createElement("div");
+  lightRow3.style.fontSize = "12px";
+  lightRow3.style.marginTop = "4px";
+  lightRow3.textContent = "Color: ";
+  lightColorInput = document.createElement("input");
+  lightColorInput.type = "color";
+  lightColorInput.value = "#ffffff";
+  lightRow3.appendChild(lightColorInput);
+  const lightRow4 = createNumberRow("Intensity: ", "1", "0.1");
+  lightIntensityInput = lightRow4.input;
+
+  const lightRow5 = document.createElement("div");
+  lightRow5.style.fontSize = "12px";
+  lightRow5.textContent = "Position x/y/z: ";
+  lightPositionInputs = ["x", "y", "z"].map(() => {
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "0.5";
+    input.value = "0";
+    input.style.width = "42px";
+    lightRow5.appendChild(input);
+    return input;
+  });
 
+  const lightRow6 = document.createElement("div");
+  lightRow6.style.fontSize = "12px";
+  const lightShadowLabel = document.createElement("label");
+  lightShadowCheckbox = document.createElement("input");
+  lightShadowCheckbox.type = "checkbox";
+  lightShadowLabel.appendChild(lightShadowCheckbox);
+  lightShadowLabel.appendChild(document.createTextNode(" Cast shadows"));
+  lightRow6.appendChild(lightShadowLabel);
+
+  lightApplyBtn = document.createElement("button");
+  lightApplyBtn.textContent = "Apply Light";
+  lightApplyBtn.style.fontSize = "12px";
+  lightApplyBtn.style.marginTop = "4px";
+
+  const lightRow7 = document.createElement("div");
+  lightRow7.style.fontSize = "12px";
+  lightRow7.style.marginTop = "4px";
+  const lightHelpersLabel = document.createElement("label");
+  lightHelpersCheckbox = document.createElement("input");
+  lightHelpersCheckbox.type = "checkbox";
+  lightHelpersLabel.appendChild(lightHelpersCheckbox);
+  lightHelpersLabel.appendChild(document.createTextNode(" Show light helpers"));
+  lightRow7.appendChild(lightHelpersLabel);
+
+  const lightRow8 = createNumberRow("Exposure: ", String(defaultExposure), "0.05");
+  exposureInput = lightRow8.input;
+
+  lightInfoLabel = document.createElement("div");
+  lightInfoLabel.style.fontSize = "11px";
+  lightInfoLabel.style.marginTop = "4px";
+  lightInfoLabel.style.opacity = "0.85";
+
+  lightSection.appendChild(lightRow1);
+  lightSection.appendChild(lightRow2);
+  lightSection.appendChild(lightRow3);
+  lightSection.appendChild(lightRow4.row);
+  lightSection.appendChild(lightRow5);
+  lightSection.appendChild(lightRow6);
+  lightSection.appendChild(lightApplyBtn);
+  lightSection.appendChild(lightRow7);
+  lightSection.appendChild(lightRow8.row);
+  lightSection.appendChild(lightInfoLabel);
 
   /***************************************************************
    * ADD SECTIONS TO UI ROOT
    ***************************************************************/
+  ui.appendChild(scenarioSection);
   ui.appendChild(gravitySection);
   ui.appendChild(projectileSection);
+  ui.appendChild(experimentSection);
+  ui.appendChild(measureSection);
+  ui.appendChild(orbitSection);
+  ui.appendChild(transformSection);
+  ui.appendChild(builderSection);
+  ui.appendChild(inclineSection);
+  ui.appendChild(fluidSection);
+  ui.appendChild(jointSection);
   ui.appendChild(spawnSection);
+  ui.appendChild(explosionSection);
   ui.appendChild(speedSection);
+  ui.appendChild(simSection);
+  ui.appendChild(sceneSection);
+  ui.appendChild(telemetrySection);
   ui.appendChild(visualSection);
+  ui.appendChild(materialSection);
+  ui.appendChild(lightSection);
+  ui.appendChild(cameraSection);
   ui.appendChild(infoSection);
 
   document.body.appendChild(ui);
@@ -604,95 +2268,450 @@ function createUI() {
    ***************************************************************/
   gravityBtn.addEventListener("click", onGravityButtonClick);
   gravityPresetSelect.addEventListener("change", onGravityPresetChange);
+  customPresetSaveBtn.addEventListener("click", onSaveCustomPreset);
+  customPresetDeleteBtn.addEventListener("click", onDeleteCustomPreset);
   spawnSphereBtn.addEventListener("click", spawnFallingSphere);
   spawnProjectileBtn.addEventListener("click", spawnProjectile);
+  scenarioLoadBtn.addEventListener("click", () => loadScenario(scenarioSelect.value));
+  experimentStartBtn.addEventListener("click", () => startExperiment(experimentSelect.value));
+  experimentStopBtn.addEventListener("click", stopExperiment);
+  rulerBtn.addEventListener("click", () => startMeasureTool("ruler"));
+  protractorBtn.addEventListener("click", () => startMeasureTool("protractor"));
+  clearMeasurementsBtn.addEventListener("click", clearMeasurements);
+  stopwatchCheckbox.addEventListener("change", () => {
+    stopwatch.enabled = stopwatchCheckbox.checked;
+  });
   glassModeBtn.addEventListener("click", toggleGlassMode);
+  vectorOverlayCheckbox.addEventListener("change", () => {
+    vectorOverlay.enabled = vectorOverlayCheckbox.checked;
+  });
+  colliderDebugCheckbox.addEventListener("change", () => {
+    colliderDebug.enabled = colliderDebugCheckbox.checked;
+  });
+  materialApplyBtn.addEventListener("click", onApplyMaterial);
+  materialResetBtn.addEventListener("click", onResetMaterial);
+  lightSelect.addEventListener("change", showSelectedLight);
+  lightAddBtn.addEventListener("click", onAddLight);
+  lightRemoveBtn.addEventListener("click", onRemoveLight);
+  lightApplyBtn.addEventListener("click", onApplyLight);
+  lightHelpersCheckbox.addEventListener("change", () => {
+    showLightHelpers = lightHelpersCheckbox.checked;
+    for (const entry of sceneLights) {
+      if (entry.helper) entry.helper.visible = showLightHelpers;
+    }
+  });
+  exposureInput.addEventListener("change", () => {
+    const v = parseFloat(exposureInput.value);
+    setExposure(isNaN(v) ? defaultExposure : THREE.MathUtils.clamp(v, 0.05, 5));
+  });
+  refreshLightOptions();
   applySpeedBtn.addEventListener("click", onApplySpeedClick);
   clearProjectilesBtn.addEventListener("click", clearProjectiles);
+  exportCsvBtn.addEventListener("click", () => exportFlightData("csv"));
+  exportJsonBtn.addEventListener("click", () => exportFlightData("json"));
+  orbitModeCheckbox.addEventListener("change", () => {
+    orbitState.enabled = orbitModeCheckbox.checked;
+  });
+  placePlanetBtn.addEventListener("click", () => startPlacingAttractor("planet"));
+  placeMoonBtn.addEventListener("click", () => startPlacingAttractor("moon"));
+  clearAttractorsBtn.addEventListener("click", clearAttractors);
+  gizmoModeSelect.addEventListener("change", () => {
+    gizmoState.mode = gizmoModeSelect.value;
+  });
+  resumeAnimationBtn.addEventListener("click", () => {
+    if (lastClickedObject && !getSceneBody(lastClickedObject)) setAnimationPaused(lastClickedObject, false);
+  });
+  builderPlaceBtn.addEventListener("click", onPlaceBuiltObject);
+  builderApplyBtn.addEventListener("click", onApplyBuilderSettings);
+  builderDeleteBtn.addEventListener("click", onDeleteBuiltObject);
+  placeInclineBtn.addEventListener("click", () => {
+    inclineState.placing = true;
+    inclineInfoLabel.textContent = "Click the floor to place the incline.";
+  });
+  updateInclineBtn.addEventListener("click", onUpdateIncline);
+  dropBlockBtn.addEventListener("click", onDropBlock);
+  clearInclinesBtn.addEventListener("click", clearInclines);
+  placeTankBtn.addEventListener("click", () => {
+    fluidState.placing = true;
+    fluidInfoLabel.textContent = "Click the floor to place the tank.";
+  });
+  clearTanksBtn.addEventListener("click", clearFluidTanks);
+  placeExplosionBtn.addEventListener("click", armExplosion);
+  jointPickBtn.addEventListener("click", onPickJointStart);
+  jointConnectBtn.addEventListener("click", onConnectJoint);
+  jointAnchorBtn.addEventListener("click", onAnchorJoint);
+  jointRemoveLastBtn.addEventListener("click", () => removeJoint(joints[joints.length - 1]));
+  jointRemoveAllBtn.addEventListener("click", clearJoints);
+  saveSceneBtn.addEventListener("click", onSaveScene);
+  loadSceneBtn.addEventListener("click", () => loadSceneInput.click());
+  loadSceneInput.addEventListener("change", onLoadSceneFile);
+  shareSceneBtn.addEventListener("click", onShareScene);
+  stepRateSelect.addEventListener("change", onSimulationSettingsChange);
+  subStepsInput.addEventListener("change", onSimulationSettingsChange);
+  cameraGoBtn.addEventListener("click", () => goToCameraBookmark(cameraBookmarkSelect.value));
+  cameraBookmarkSelect.addEventListener("change", () => goToCameraBookmark(cameraBookmarkSelect.value));
+  cameraSaveBtn.addEventListener("click", onSaveCameraBookmark);
+  cameraDeleteBtn.addEventListener("click", onDeleteCameraBookmark);
+  focusSelectedBtn.addEventListener("click", () => {
+    if (lastClickedObject) focusOnObject(lastClickedObject);
+  });
+  followProjectileCheckbox.addEventListener("change", () => {
+    setFollowProjectile(followProjectileCheckbox.checked);
+  });
+  selectionColorBtn.addEventListener("click", onApplySelectionColor);
+  selectionDeleteBtn.addEventListener("click", onDeleteSelection);
+  selectionClearBtn.addEventListener("click", () => setSelection([]));
 }
 
 
 /**********************************************************************
- * CAMERA (simple spherical orbit)
+ * CAMERA (orbit / pan / zoom with damping, focus, follow, bookmarks)
  **********************************************************************/
 function updateCameraFromSpherical() {
-  const pos = new THREE.Vector3().setFromSpherical(spherical);
-camera.position.lerp(
-  new THREE.Vector3().setFromSpherical(spherical).add(orbitTarget),
-  1.5
-);
-camera.lookAt(orbitTarget);
+  camera.position.setFromSpherical(viewSpherical).add(viewTarget);
+  camera.lookAt(viewTarget);
+}
+
+// Eases the view toward the goal left by mouse, touch, focus and bookmarks
+function updateCamera(delta) {
+  if (followProjectile) {
+    const body = getFollowedProjectile();
+    if (body) orbitTarget.copy(body.mesh.position);
+  }
 
+  const t = 1 - Math.exp(-cameraDamping * delta);
+  viewTarget.lerp(orbitTarget, t);
+  viewSpherical.radius += (spherical.radius - viewSpherical.radius) * t;
+  viewSpherical.phi += (spherical.phi - viewSpherical.phi) * t;
+  viewSpherical.theta += (spherical.theta - viewSpherical.theta) * t;
+  updateCameraFromSpherical();
 }
 
-function onMouseDown(event) {
-  isDragging = true;
-  previousMousePosition.x = event.clientX;
-  previousMousePosition.y = event.clientY;
+function orbitCamera(deltaX, deltaY) {
+  const rotationSpeed = 0.005;
+  spherical.theta -= deltaX * rotationSpeed;
+  spherical.phi -= deltaY * rotationSpeed;
+
+  const epsilon = 0.001;
+  spherical.phi = Math.max(epsilon, Math.min(Math.PI - epsilon, spherical.phi));
 }
 
-function onMouseMove(event) {
-  if (!isDragging) return;
+// Slides the target in the view plane so the scene stays under the cursor
+function panCamera(deltaX, deltaY) {
+  const fov = THREE.MathUtils.degToRad(camera.fov);
+  const height = renderer.domElement.clientHeight || window.innerHeight;
+  const perPixel = (2 * viewSpherical.radius * Math.tan(fov / 2)) / height;
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 0);
+  const up = new THREE.Vector3().setFromMatrixColumn(camera.matrix, 1);
+
+  orbitTarget.addScaledVector(right, -deltaX * perPixel).addScaledVector(up, deltaY * perPixel);
+  setFollowProjectile(false);
+}
 
-  const deltaX = event.clientX - previousMousePosition.x;
-  const deltaY = event.clientY - previousMousePosition.y;
+function zoomCamera(factor) {
+  spherical.radius = THREE.MathUtils.clamp(
+    spherical.radius * factor,
+    cameraLimits.minRadius,
+    cameraLimits.maxRadius
+  );
+}
+
+function dragCamera(x, y) {
+  const deltaX = x - previousMousePosition.x;
+  const deltaY = y - previousMousePosition.y;
+  previousMousePosition.x = x;
+  previousMousePosition.y = y;
+  dragDistance += Math.abs(deltaX) + Math.abs(deltaY);
+
+  if (dragMode === "pan") panCamera(deltaX, deltaY);
+  else orbitCamera(deltaX, deltaY);
+}
+
+function onMouseDown(event) {
+  // grabbing a gizmo handle takes priority over orbiting the camera
+  if (startGizmoDrag(event)) return;
+
+  dragDistance = 0;
+  if (event.button === 0 && event.shiftKey) {
+    startBoxSelect(event);
+    return;
+  }
 
+  isDragging = true;
+  dragMode = event.button !== 0 ? "pan" : "orbit";
   previousMousePosition.x = event.clientX;
   previousMousePosition.y = event.clientY;
+}
 
-  const rotationSpeed = 0.005;
-  spherical.theta -= deltaX * rotationSpeed;
-  spherical.phi -= deltaY * rotationSpeed;
+function onMouseMove(event) {
+  // remembered so the vector tooltip can follow bodies moving under a still cursor
+  vectorOverlay.pointer = { clientX: event.clientX, clientY: event.clientY };
 
-  const epsilon = 0.001;
-  spherical.phi = Math.max(epsilon, Math.min(Math.PI - epsilon, spherical.phi));
+  if (gizmoState.drag) {
+    updateGizmoDrag(event);
+    return;
+  }
+  if (selectionBox) {
+    updateBoxSelect(event);
+    return;
+  }
+  if (!isDragging) return;
 
-  updateCameraFromSpherical();
+  dragCamera(event.clientX, event.clientY);
 }
 
 function onMouseUp() {
+  if (gizmoState.drag) endGizmoDrag();
+  if (selectionBox) endBoxSelect();
   isDragging = false;
 }
 
 function onMouseWheel(event) {
-  const zoomFactor = 1 + event.deltaY * 0.001;
-  spherical.radius *= zoomFactor;
-  spherical.radius = THREE.MathUtils.clamp(spherical.radius, 4, 30);
-  updateCameraFromSpherical();
+  zoomCamera(1 + event.deltaY * 0.001);
 }
 
-/**********************************************************************
- * KEYBOARD MOVEMENT (WASD)
- **********************************************************************/
-function onKeyDown(event) {
-  switch (event.key.toLowerCase()) {
-    case "w":
-      moveInput.forward = 1;
-      break;
-    case "s":
-      moveInput.back = 1;
-      break;
-    case "a":
-      moveInput.left = 1;
-      break;
-    case "d":
-      moveInput.right = 1;
-      break;
+function getTouchPair(touches) {
+  const [a, b] = touches;
+  return {
+    distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+    x: (a.clientX + b.clientX) / 2,
+    y: (a.clientY + b.clientY) / 2
+  };
+}
+
+// One finger orbits; two fingers pinch to zoom and move together to pan
+function onTouchStart(event) {
+  if (event.touches.length === 1) {
+    const touch = event.touches[0];
+    isDragging = true;
+    dragDistance = 0;
+    dragMode = "orbit";
+    previousMousePosition.x = touch.clientX;
+    previousMousePosition.y = touch.clientY;
+  } else if (event.touches.length === 2) {
+    isDragging = false;
+    Object.assign(touchPair, getTouchPair(event.touches));
   }
 }
 
-function onKeyUp(event) {
-  switch (event.key.toLowerCase()) {
-    case "w":
-      moveInput.forward = 0;
-      break;
-    case "s":
-      moveInput.back = 0;
-      break;
-    case "a":
-      moveInput.left = 0;
-      break;
-    case "d":
+function onTouchMove(event) {
+  event.preventDefault();
+
+  if (event.touches.length === 1 && isDragging) {
+    dragCamera(event.touches[0].clientX, event.touches[0].clientY);
+  } else if (event.touches.length === 2) {
+    const pair = getTouchPair(event.touches);
+    if (pair.distance > 0) zoomCamera(touchPair.distance / pair.distance);
+    panCamera(pair.x - touchPair.x, pair.y - touchPair.y);
+    dragDistance += Math.abs(pair.distance - touchPair.distance) + Math.abs(pair.x - touchPair.x) + Math.abs(pair.y - touchPair.y);
+    Object.assign(touchPair, pair);
+  }
+}
+
+function onTouchEnd(event) {
+  isDragging = false;
+
+  // lifting one of two fingers carries on orbiting with the other
+  if (event.touches.length === 1) {
+    isDragging = true;
+    dragMode = "orbit";
+    previousMousePosition.x = event.touches[0].clientX;
+    previousMousePosition.y = event.touches[0].clientY;
+  }
+}
+
+function onDoubleClick(event) {
+  setRayFromEvent(event);
+
+  const meshes = [...clickableObjects, ...getSimulatedBodies().map((body) => body.mesh)];
+  const hit = raycaster.intersectObjects(meshes, false)[0];
+  if (hit) {
+    focusOnObject(hit.object);
+    return;
+  }
+
+  // double-clicking the floor re-centres on that point
+  const floorHit = raycaster.intersectObject(plane, false)[0];
+  if (floorHit) {
+    orbitTarget.copy(floorHit.point);
+    setFollowProjectile(false);
+  }
+}
+
+function focusOnObject(obj) {
+  const box = new THREE.Box3().setFromObject(obj);
+  box.getCenter(orbitTarget);
+  zoomCamera(Math.max(box.getSize(new THREE.Vector3()).length() * 3, 4) / spherical.radius);
+  setFollowProjectile(false);
+}
+
+function setFollowProjectile(on) {
+  followProjectile = on;
+  if (followProjectileCheckbox) followProjectileCheckbox.checked = on;
+}
+
+// The newest projectile still in flight, else the newest one
+function getFollowedProjectile() {
+  for (let i = projectiles.length - 1; i >= 0; i--) {
+    if (projectiles[i].active) return projectiles[i];
+  }
+  return projectiles[projectiles.length - 1] || null;
+}
+
+// Shortest way round from the current view, so a bookmark never spins the camera a full turn
+function getNearestTheta(theta) {
+  const diff = theta - viewSpherical.theta;
+  return viewSpherical.theta + THREE.MathUtils.euclideanModulo(diff + Math.PI, 2 * Math.PI) - Math.PI;
+}
+
+function goToCameraBookmark(key) {
+  const bookmark = cameraBookmarks[key];
+  if (bookmark) setCameraView(bookmark);
+}
+
+// view: { target, radius, phi, theta }, like a bookmark
+function setCameraView(view) {
+  setFollowProjectile(false);
+  orbitTarget.copy(view.target);
+  spherical.radius = view.radius;
+  spherical.phi = view.phi;
+  spherical.theta = getNearestTheta(view.theta);
+}
+
+function loadCameraBookmarks() {
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(cameraBookmarkStorageKey)) || [];
+  } catch (err) {
+    // unreadable storage: start with the built-in views only
+  }
+  if (!Array.isArray(saved)) saved = [];
+
+  for (const b of saved) {
+    if (!b || !b.label || !Array.isArray(b.target)) continue;
+    cameraBookmarks["saved:" + b.label] = {
+      label: b.label,
+      target: new THREE.Vector3().fromArray(b.target),
+      radius: b.radius,
+      phi: b.phi,
+      theta: b.theta
+    };
+  }
+}
+
+function saveCameraBookmarks() {
+  const saved = Object.keys(cameraBookmarks)
+    .filter((key) => key.startsWith("saved:"))
+    .map((key) => {
+      const b = cameraBookmarks[key];
+      return { label: b.label, target: b.target.toArray(), radius: b.radius, phi: b.phi, theta: b.theta };
+    });
+
+  try {
+    localStorage.setItem(cameraBookmarkStorageKey, JSON.stringify(saved));
+  } catch (err) {
+    alert("Could not save camera views (browser storage is full or blocked): " + err.message);
+  }
+}
+
+function refreshCameraBookmarkOptions(selected = "default") {
+  cameraBookmarkSelect.innerHTML = "";
+  Object.keys(cameraBookmarks).forEach((key) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = cameraBookmarks[key].label;
+    cameraBookmarkSelect.appendChild(opt);
+  });
+  cameraBookmarkSelect.value = selected;
+}
+
+function onSaveCameraBookmark() {
+  const label = cameraBookmarkNameInput.value.trim();
+  if (!label) {
+    alert("Give the view a name first.");
+    return;
+  }
+
+  const key = "saved:" + label;
+  cameraBookmarks[key] = {
+    label,
+    target: orbitTarget.clone(),
+    radius: spherical.radius,
+    phi: spherical.phi,
+    theta: THREE.MathUtils.euclideanModulo(spherical.theta, 2 * Math.PI)
+  };
+  saveCameraBookmarks();
+  refreshCameraBookmarkOptions(key);
+}
+
+function onDeleteCameraBookmark() {
+  const key = cameraBookmarkSelect.value;
+  if (!key.startsWith("saved:")) return;
+
+  delete cameraBookmarks[key];
+  saveCameraBookmarks();
+  refreshCameraBookmarkOptions();
+}
+
+/**********************************************************************
+ * KEYBOARD MOVEMENT (WASD)
+ **********************************************************************/
+function onKeyDown(event) {
+  // space pauses unless it is typing into / pressing a control
+  const tag = event.target.tagName;
+  const typing = ["INPUT", "SELECT", "TEXTAREA"].includes(tag);
+  if (event.key === " " && !typing && tag !== "BUTTON") {
+    event.preventDefault();
+    setTimelinePaused(!timeline.paused);
+    return;
+  }
+
+  if (event.key === "Escape" && measureState.tool) {
+    cancelMeasureTool();
+    return;
+  }
+
+  if (event.key === "Escape" && explosionState.placing) {
+    disarmExplosion();
+    return;
+  }
+
+  // letters typed into a text field (bookmark or preset names) are not shortcuts
+  if (typing) return;
+
+  if (event.key.toLowerCase() === "f") {
+    if (lastClickedObject) focusOnObject(lastClickedObject);
+    return;
+  }
+
+  switch (event.key.toLowerCase()) {
+    case "w":
+      moveInput.forward = 1;
+      break;
+    case "s":
+      moveInput.back = 1;
+      break;
+    case "a":
+      moveInput.left = 1;
+      break;
+    case "d":
+      moveInput.right = 1;
+      break;
+  }
+}
+
+function onKeyUp(event) {
+  switch (event.key.toLowerCase()) {
+    case "w":
+      moveInput.forward = 0;
+      break;
+    case "s":
+      moveInput.back = 0;
+      break;
+    case "a":
+      moveInput.left = 0;
+      break;
+    case "d":
       moveInput.right = 0;
       break;
   }
@@ -702,25 +2721,83 @@ function onKeyUp(event) {
  * RAYCAST CLICK
  **********************************************************************/
 function onClick(event) {
+  if (gizmoState.suppressClick) {
+    gizmoState.suppressClick = false;
+    return;
+  }
+
+  // the end of a camera drag is not a selection
+  if (dragDistance > clickDragTolerance) {
+    dragDistance = 0;
+    return;
+  }
+
   const rect = renderer.domElement.getBoundingClientRect();
   mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
   mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
   raycaster.setFromCamera(mouse, camera);
-  const intersects = raycaster.intersectObjects(clickableObjects, false);
 
-  if (intersects.length > 0) {
-    const hit = intersects[0].object;
-    hit.material.color.setHex(Math.random() * 0xffffff);
+  // measuring: clicks land on objects or the floor
+  if (measureState.tool) {
+    const hit = raycaster.intersectObjects([...clickableObjects, plane], false)[0];
+    if (hit) addMeasurePoint(hit.point);
+    return;
+  }
+
+  // explosions go off where the click lands, on an object or the floor
+  if (explosionState.placing) {
+    const hit = raycaster.intersectObjects([...clickableObjects, plane], false)[0];
+    if (hit) {
+      if (!explosionRepeatCheckbox.checked) explosionState.placing = false;
+      applyRadialImpulse(hit.point, getExplosionSettings());
+    }
+    return;
+  }
+
+  // placing an attractor: the next floor click decides where it goes
+  if (orbitState.placing) {
+    const floorHit = raycaster.intersectObject(plane, false)[0];
+    if (floorHit) placeAttractor(orbitState.placing, floorHit.point);
+    return;
+  }
+
+  if (inclineState.placing) {
+    const floorHit = raycaster.intersectObject(plane, false)[0];
+    if (floorHit) {
+      inclineState.placing = false;
+      addIncline(getInclineSettings(), floorHit.point);
+    }
+    return;
+  }
+
+  if (fluidState.placing) {
+    const floorHit = raycaster.intersectObject(plane, false)[0];
+    if (floorHit) {
+      fluidState.placing = false;
+      addFluidTank(getTankSettings(), floorHit.point);
+    }
+    return;
+  }
 
-    lastClickedObject = hit;
-    if (lastClickedLabel) {
-      lastClickedLabel.textContent = getObjectLabel(hit);
+  // same for a new object from the builder panel
+  if (builderState.placing) {
+    const floorHit = raycaster.intersectObject(plane, false)[0];
+    if (floorHit) {
+      builderState.placing = false;
+      addBuiltObject(getBuilderSettings(), floorHit.point);
     }
+    return;
+  }
+
+  const intersects = raycaster.intersectObjects(clickableObjects, false);
+  const hit = intersects.length > 0 ? intersects[0].object : null;
 
-    // stop gravity on previous object if running
-    gravityState.active = false;
-    gravityState.object = null;
+  // Shift adds / removes; a plain click replaces the selection (empty space clears it)
+  if (event.shiftKey) {
+    if (hit) toggleSelected(hit);
+  } else {
+    setSelection(hit ? [hit] : []);
   }
 }
 
@@ -730,89 +2807,392 @@ function getObjectLabel(obj) {
   if (obj === rotatingCube) return "Cube";
   if (obj === wall) return "Wall";
   if (obj === energyCone) return "Cone";
+  if (obj.userData.incline) return `Incline #${obj.userData.incline.id}`;
+  if (obj.userData.builder) return `${builderShapes[obj.userData.builder.shape]} #${obj.userData.builder.id}`;
   return "Object";
 }
 
+
+/**********************************************************************
+ * SELECTION – selection set, outlines, box select and group operations
+ **********************************************************************/
+function getSelectedObjects() {
+  return [...selectedObjects];
+}
+
+// primary defaults to the newest object in the set
+function setSelection(objects, primary = objects[objects.length - 1] || null) {
+  for (const obj of selectedObjects) {
+    if (!objects.includes(obj)) removeSelectionOutline(obj);
+  }
+  selectedObjects.clear();
+  for (const obj of objects) {
+    selectedObjects.add(obj);
+    addSelectionOutline(obj);
+  }
+
+  lastClickedObject = primary;
+  if (primary && primary.userData.builder) showBuilderSettings(primary);
+  if (primary) showMaterialSettings(primary);
+  updateSelectionLabel();
+}
+
+function toggleSelected(obj) {
+  if (!selectedObjects.has(obj)) {
+    setSelection([...selectedObjects, obj], obj);
+    return;
+  }
+
+  const rest = getSelectedObjects().filter((o) => o !== obj);
+  setSelection(rest, lastClickedObject === obj ? rest[rest.length - 1] || null : lastClickedObject);
+}
+
+// For objects that are about to be removed from the scene
+function deselectObject(obj) {
+  if (!selectedObjects.has(obj) && lastClickedObject !== obj) return;
+
+  const rest = getSelectedObjects().filter((o) => o !== obj);
+  setSelection(rest, lastClickedObject === obj ? rest[rest.length - 1] || null : lastClickedObject);
+}
+
+function updateSelectionLabel() {
+  if (!lastClickedLabel) return;
+
+  const count = selectedObjects.size;
+  if (count === 0) lastClickedLabel.textContent = "None";
+  else if (count === 1) lastClickedLabel.textContent = getObjectLabel(lastClickedObject);
+  else lastClickedLabel.textContent = `${count} objects (primary: ${getObjectLabel(lastClickedObject)})`;
+}
+
+function addSelectionOutline(obj) {
+  if (selectionOutlines.has(obj)) return;
+
+  const outline = new THREE.Mesh(
+    obj.geometry,
+    new THREE.MeshBasicMaterial({ color: selectionColor, side: THREE.BackSide })
+  );
+  outline.matrixAutoUpdate = false;
+  scene.add(outline);
+  selectionOutlines.set(obj, outline);
+}
+
+function removeSelectionOutline(obj) {
+  const outline = selectionOutlines.get(obj);
+  if (!outline) return;
+
+  scene.remove(outline);
+  outline.material.dispose();
+  selectionOutlines.delete(obj);
+}
+
+// Outlines copy the object's (interpolated) pose every frame instead of being its children,
+// so colliders and bounding boxes built with setFromObject stay exact
+function updateSelectionOutlines() {
+  for (const [obj, outline] of selectionOutlines) {
+    obj.updateMatrixWorld();
+    outline.geometry = obj.geometry; // the builder swaps geometries on Apply
+    outline.matrix.copy(obj.matrixWorld).multiply(outlineScale);
+    outline.matrixWorldNeedsUpdate = true;
+  }
+}
+
+function createSelectionBox() {
+  selectionBoxElement = document.createElement("div");
+  selectionBoxElement.style.position = "absolute";
+  selectionBoxElement.style.display = "none";
+  selectionBoxElement.style.pointerEvents = "none";
+  selectionBoxElement.style.border = "1px dashed #ffd43b";
+  selectionBoxElement.style.background = "rgba(255, 212, 59, 0.1)";
+  selectionBoxElement.style.zIndex = "5";
+  document.body.appendChild(selectionBoxElement);
+}
+
+function startBoxSelect(event) {
+  selectionBox = {
+    startX: event.clientX,
+    startY: event.clientY,
+    endX: event.clientX,
+    endY: event.clientY
+  };
+}
+
+function updateBoxSelect(event) {
+  selectionBox.endX = event.clientX;
+  selectionBox.endY = event.clientY;
+  dragDistance =
+    Math.abs(selectionBox.endX - selectionBox.startX) + Math.abs(selectionBox.endY - selectionBox.startY);
+
+  const style = selectionBoxElement.style;
+  style.display = dragDistance > clickDragTolerance ? "block" : "none";
+  style.left = `${Math.min(selectionBox.startX, selectionBox.endX)}px`;
+  style.top = `${Math.min(selectionBox.startY, selectionBox.endY)}px`;
+  style.width = `${Math.abs(selectionBox.endX - selectionBox.startX)}px`;
+  style.height = `${Math.abs(selectionBox.endY - selectionBox.startY)}px`;
+}
+
+// Adds every object whose centre lands inside the box (a short drag is left to onClick)
+function endBoxSelect() {
+  const box = selectionBox;
+  selectionBox = null;
+  selectionBoxElement.style.display = "none";
+  if (dragDistance <= clickDragTolerance) return;
+
+  const rect = renderer.domElement.getBoundingClientRect();
+  const minX = Math.min(box.startX, box.endX);
+  const maxX = Math.max(box.startX, box.endX);
+  const minY = Math.min(box.startY, box.endY);
+  const maxY = Math.max(box.startY, box.endY);
+
+  const picked = clickableObjects.filter((obj) => {
+    if (selectedObjects.has(obj)) return false;
+
+    const p = obj.userData.collider.getCenter(new THREE.Vector3()).project(camera);
+    if (p.z > 1) return false; // behind the camera
+    const x = rect.left + ((p.x + 1) / 2) * rect.width;
+    const y = rect.top + ((1 - p.y) / 2) * rect.height;
+    return x >= minX && x <= maxX && y >= minY && y <= maxY;
+  });
+
+  if (picked.length) setSelection([...selectedObjects, ...picked]);
+}
+
+function onApplySelectionColor() {
+  const color = new THREE.Color(selectionColorInput.value);
+  for (const obj of selectedObjects) {
+    obj.material.color.copy(color);
+    // the glass cone keeps its solid colour for when glass mode is turned off
+    if (obj === energyCone && coneIsGlass) coneOriginalMaterial.color.copy(color);
+  }
+}
+
+// Built objects and inclines can go; the original five stay
+function onDeleteSelection() {
+  const removable = getSelectedObjects().filter((obj) => obj.userData.builder || obj.userData.incline);
+  if (!removable.length) {
+    alert("Only objects from the builder and inclines can be deleted.");
+    return;
+  }
+
+  for (const obj of removable) {
+    if (obj.userData.builder) removeBuiltObject(obj);
+    else removeIncline(inclines.find((incline) => incline.mesh === obj));
+  }
+}
+
 /**********************************************************************
  * GRAVITY BUTTON (single object)
  **********************************************************************/
 function onGravityButtonClick() {
-  if (!lastClickedObject) {
-    alert("Click any object first, then press the gravity button.");
+  if (!selectedObjects.size) {
+    alert("Click any object first (Shift-click or Shift-drag for several), then press the gravity button.");
     return;
   }
 
-  // Compute approximate height for floor collision
-  const box = new THREE.Box3().setFromObject(lastClickedObject);
-  const height = box.max.y - box.min.y || 1;
-  const floorY = 0 + height / 2; // plane at y=0
+  startStopwatch(getSelectedObjects().map(startGravity));
+}
+
+function startGravity(obj) {
+  // objects in a joint (or already falling) are simulated; just make sure they move
+  const existing = jointBodies.get(obj) || gravityBodies.get(obj);
+  if (existing) {
+    wakeBody(existing);
+    return existing;
+  }
 
-  gravityState.active = true;
-  gravityState.object = lastClickedObject;
-  gravityState.velocityY = 0;
-  gravityState.floorY = floorY;
+  const body = createRigidBody(obj, {
+    restitution: 0.35,
+    friction: 0.5,
+    ...obj.userData.physics
+  });
+  gravityBodies.set(obj, body);
 
   // Pause that object's normal animation
-  if (lastClickedObject === bouncingSphere) animationPaused.sphere = true;
-  if (lastClickedObject === spinningTorus) animationPaused.torus = true;
-  if (lastClickedObject === rotatingCube) animationPaused.cube = true;
+  setAnimationPaused(obj, true);
+  return body;
+}
+
+// speedFactors / animationPaused key of an animated object, if it is one
+function getAnimationKey(obj) {
+  if (obj === bouncingSphere) return "sphere";
+  if (obj === spinningTorus) return "torus";
+  if (obj === rotatingCube) return "cube";
+  return null;
+}
+
+function setAnimationPaused(obj, paused) {
+  const key = getAnimationKey(obj);
+  if (key) animationPaused[key] = paused;
 }
 
 /**********************************************************************
  * GRAVITY PRESET CHANGE
  **********************************************************************/
 function onGravityPresetChange() {
-  const preset = gravityPresetSelect.value; // "earth" | "moon" | "jupiter"
-  currentGravityPreset = preset;
+  const key = gravityPresetSelect.value;
+  if (!gravityPresets[key]) return;
+  currentGravityPreset = key;
 
   // Bind floor texture to gravity setting
-  if (preset === "earth") {
-    setPlanetFloor("earth");
-  } else if (preset === "jupiter") {
-    setPlanetFloor("jupiter");
-  } else if (preset === "moon") {
-    // You don't have a moon texture, pick one:
-    // Option 1: use Mars as a placeholder
-    setPlanetFloor("moon");
+  setPlanetFloor(gravityPresets[key].floor);
+
+  if (customPresetDeleteBtn) {
+    customPresetDeleteBtn.disabled = !key.startsWith("custom:");
+  }
+}
+
+/**********************************************************************
+ * CUSTOM GRAVITY PRESETS (saved in localStorage)
+ **********************************************************************/
+function loadCustomPresets() {
+  let saved = [];
+  try {
+    saved = JSON.parse(localStorage.getItem(customPresetStorageKey)) || [];
+  } catch (err) {
+    // unreadable storage: start without custom presets
+  }
+  if (!Array.isArray(saved)) saved = [];
+
+  for (const p of saved) {
+    if (!p || !p.label || !Array.isArray(p.gravity)) continue;
+    gravityPresets["custom:" + p.label] = {
+      label: p.label,
+      gravity: new THREE.Vector3().fromArray(p.gravity),
+      airDensity: p.airDensity || 0,
+      floor: p.floor || null
+    };
+  }
+}
+
+function saveCustomPresets() {
+  const custom = Object.keys(gravityPresets)
+    .filter((key) => key.startsWith("custom:"))
+    .map((key) => {
+      const p = gravityPresets[key];
+      return { label: p.label, gravity: p.gravity.toArray(), airDensity: p.airDensity, floor: p.floor };
+    });
+
+  try {
+    localStorage.setItem(customPresetStorageKey, JSON.stringify(custom));
+  } catch (err) {
+    alert("Could not save custom presets (browser storage is full or blocked): " + err.message);
+  }
+}
+
+function refreshPresetOptions() {
+  gravityPresetSelect.innerHTML = "";
+  Object.keys(gravityPresets).forEach((key) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = gravityPresets[key].label;
+    gravityPresetSelect.appendChild(opt);
+  });
+  gravityPresetSelect.value = currentGravityPreset;
+}
 
-    // Option 2 (if you prefer plain floor):
-    // setPlanetFloor(null);
+function onSaveCustomPreset() {
+  const label = customPresetNameInput.value.trim();
+  if (!label) {
+    alert("Give the preset a name first.");
+    return;
   }
+
+  const gravity = new THREE.Vector3(
+    ...customGravityInputs.map((input) => parseFloat(input.value) || 0)
+  );
+
+  let airDensity = parseFloat(customAirDensityInput.value);
+  if (isNaN(airDensity) || airDensity < 0) airDensity = 0;
+
+  const key = "custom:" + label;
+  gravityPresets[key] = {
+    label,
+    gravity,
+    airDensity,
+    floor: customFloorSelect.value || null
+  };
+  saveCustomPresets();
+
+  currentGravityPreset = key;
+  refreshPresetOptions();
+  onGravityPresetChange();
+}
+
+function onDeleteCustomPreset() {
+  const key = gravityPresetSelect.value;
+  if (!key.startsWith("custom:")) return;
+
+  delete gravityPresets[key];
+  saveCustomPresets();
+
+  currentGravityPreset = "earth";
+  refreshPresetOptions();
+  onGravityPresetChange();
 }
 
 
 /**********************************************************************
- * SPAWN FALLING SPHERE (simple vertical body)
+ * SPAWN FALLING SPHERE (rigid body)
  **********************************************************************/
 function spawnFallingSphere() {
+  const col = new THREE.Color().setHSL(Math.random(), 0.7, 0.5);
+
+  // over the newest tank when there is one
+  const tank = fluidTanks[fluidTanks.length - 1];
+  const x = tank
+    ? THREE.MathUtils.lerp(tank.box.min.x + 0.5, tank.box.max.x - 0.5, Math.random())
+    : (Math.random() - 0.5) * 10;
+  const z = tank
+    ? THREE.MathUtils.lerp(tank.box.min.z + 0.5, tank.box.max.z - 0.5, Math.random())
+    : (Math.random() - 0.5) * 10;
+  const position = new THREE.Vector3(x, 5 + Math.random() * 3, z);
+
+  // small sideways push so spheres land, roll and settle instead of dropping straight down
+  const velocity = new THREE.Vector3(
+    (Math.random() - 0.5) * 2,
+    0,
+    (Math.random() - 0.5) * 2
+  );
+
+  let density = parseFloat(sphereDensityInput.value);
+  if (isNaN(density) || density <= 0) density = defaultDensity;
+
+  startStopwatch([addFallingSphere(position, velocity, col.getHex(), density)]);
+}
+
+function addFallingSphere(position, velocity, color, density = defaultDensity) {
   const radius = 0.4;
   const geo = new THREE.SphereGeometry(radius, 16, 16);
-  const col = new THREE.Color().setHSL(Math.random(), 0.7, 0.5);
-  const mat = new THREE.MeshStandardMaterial({ color: col.getHex() });
+  const mat = new THREE.MeshStandardMaterial({ color });
   const mesh = new THREE.Mesh(geo, mat);
-
-  const x = (Math.random() - 0.5) * 10;
-  const z = (Math.random() - 0.5) * 10;
-  mesh.position.set(x, 5 + Math.random() * 3, z);
+  mesh.position.copy(position);
   mesh.castShadow = true;
   mesh.receiveShadow = true;
   scene.add(mesh);
 
-  const floorY = radius; // plane at y=0
-
-  dynamicBodies.push({
-    mesh,
-    velocityY: 0,
-    floorY,
-    active: true
+  const body = createRigidBody(mesh, {
+    velocity,
+    density,
+    restitution: 0.5,
+    friction: 0.4
   });
+  dynamicBodies.push(body);
+  return body;
+}
+
+function clearFallingSpheres() {
+  for (const body of dynamicBodies) {
+    scene.remove(body.mesh);
+    body.mesh.geometry.dispose();
+  }
+  dynamicBodies.length = 0;
 }
 
 /**********************************************************************
  * SPAWN PROJECTILE – with velocity, angle, etc.
  **********************************************************************/
-function spawnProjectile() {
-  const baseGravity = gravityPresets[currentGravityPreset];
+// Reads the launcher inputs into a start position, velocity and acceleration
+function getProjectileLaunch() {
+  const baseGravity = gravityPresets[currentGravityPreset].gravity;
 
   let speed = parseFloat(projectileSpeedInput.value);
   if (isNaN(speed) || speed <= 0) speed = 10;
@@ -846,8 +3226,9 @@ function spawnProjectile() {
     .multiplyScalar(vHorizontal);
   velocity.y = vVertical;
 
-  // Vertical acceleration (gravity + extra)
-  const acceleration = new THREE.Vector3(0, baseGravity + extraAcc, 0);
+  // Acceleration (preset gravity vector + extra vertical)
+  const acceleration = baseGravity.clone();
+  acceleration.y += extraAcc;
 
   // Start position: from last clicked object if any, else near origin
   let startPos;
@@ -858,176 +3239,5491 @@ function spawnProjectile() {
     startPos = new THREE.Vector3(0, 1.0, 2);
   }
 
-  const radius = 0.25;
-  const geo = new THREE.SphereGeometry(radius, 16, 16);
-  const color = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-  const mat = new THREE.MeshStandardMaterial({ color: color.getHex() });
-  const mesh = new THREE.Mesh(geo, mat);
-  mesh.position.copy(startPos);
-  mesh.castShadow = true;
-  mesh.receiveShadow = true;
-  scene.add(mesh);
+  let mass = parseFloat(projectileMassInput.value);
+  if (isNaN(mass) || mass <= 0) mass = 0.5;
 
-  projectiles.push({
-    mesh,
-    velocity,
-    acceleration,
-    radius,
-    active: true
-  });
-}
+  // Orbit mode: launch from above the primary attractor, under its gravity only
+  const primary = orbitState.enabled ? getPrimaryAttractor() : null;
+  if (primary) {
+    let altitude = parseFloat(launchAltitudeInput.value);
+    if (isNaN(altitude) || altitude < 0) altitude = 1.5;
 
-function clearProjectiles() {
-  for (let i = projectiles.length - 1; i >= 0; i--) {
-    const p = projectiles[i];
-    if (p.mesh) {
-      scene.remove(p.mesh);
-    }
+    startPos = primary.mesh.position.clone();
+    startPos.y += primary.radius + projectileRadius + altitude;
+
+    return { startPos, velocity, acceleration: new THREE.Vector3(), mass, drag: null, orbit: true };
   }
-  projectiles.length = 0;
+
+  return { startPos, velocity, acceleration, mass, drag: getDragSettings(), orbit: false };
+}
+
+// Drag model, coefficients, air density and wind at launch time (null = vacuum)
+function getDragSettings() {
+  const model = dragModelSelect.value;
+  if (model === "off") return null;
+
+  let cd = parseFloat(dragCoefficientInput.value);
+  if (isNaN(cd) || cd < 0) cd = 0.47;
+
+  let b = parseFloat(linearDragInput.value);
+  if (isNaN(b) || b < 0) b = 0.05;
+
+  const wind = new THREE.Vector3(...windInputs.map((input) => parseFloat(input.value) || 0));
+
+  return {
+    linear: model === "linear" || model === "both",
+    quadratic: model === "quadratic" || model === "both",
+    cd,
+    b,
+    airDensity: gravityPresets[currentGravityPreset].airDensity,
+    wind
+  };
+}
+
+// Drag acceleration on a sphere moving through air that itself moves with the wind.
+// Linear:    F = -b · (ρ/ρ₀) · v_rel   (b is given for sea-level air, so no air -> no drag)
+// Quadratic: F = -½ ρ C_d A |v_rel| v_rel
+function getDragAcceleration(velocity, drag, radius, mass, target = new THREE.Vector3()) {
+  target.set(0, 0, 0);
+  if (!drag || drag.airDensity <= 0) return target;
+
+  const vRel = velocity.clone().sub(drag.wind);
+  const speed = vRel.length();
+
+  if (drag.linear) {
+    const b = drag.b * (drag.airDensity / seaLevelAirDensity);
+    target.addScaledVector(vRel, -b / mass);
+  }
+
+  if (drag.quadratic) {
+    const area = Math.PI * radius * radius;
+    const c = 0.5 * drag.airDensity * drag.cd * area;
+    target.addScaledVector(vRel, (-c * speed) / mass);
+  }
+
+  return target;
+}
+
+function spawnProjectile() {
+  const color = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
+  const body = addProjectile(getProjectileLaunch(), color);
+  startStopwatch([body]);
+  if (experimentState.active) {
+    experimentState.shots.add(body);
+    updateExperimentPanel();
+  }
+}
+
+function addProjectile(launch, color) {
+  const { startPos, velocity, acceleration, mass, drag, orbit } = launch;
+
+  const radius = projectileRadius;
+  const geo = new THREE.SphereGeometry(radius, 16, 16);
+  const mat = new THREE.MeshStandardMaterial({ color: color.getHex() });
+  const mesh = new THREE.Mesh(geo, mat);
+  mesh.position.copy(startPos);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  scene.add(mesh);
+
+  const body = createRigidBody(mesh, {
+    velocity,
+    acceleration,
+    mass,
+    drag,
+    restitution: 0.3,
+    friction: 0.4,
+    // the trajectory preview is closed-form, so shots get no numerical damping
+    linearDamping: 0
+  });
+
+  // don't collide with whatever the projectile was launched from
+  body.spawnOverlaps = new Set(
+    clickableObjects.filter((obj) => getSphereObjectContact(body, obj))
+  );
+
+  // orbiting bodies feel only the attractors and ignore the floor
+  if (orbit) body.orbital = true;
+
+  body.trail = createTrail(color);
+  body.flightLog = {
+    id: nextProjectileId++,
+    launchTime: timeElapsed,
+    preset: currentGravityPreset,
+    startPosition: startPos.toArray(),
+    initialVelocity: velocity.toArray(),
+    acceleration: acceleration.toArray(),
+    mass,
+    drag: drag ? { ...drag, wind: drag.wind.toArray() } : null,
+    samples: []
+  };
+  recordFlightSample(body);
+
+  projectiles.push(body);
+  return body;
+}
+
+/**********************************************************************
+ * TRAJECTORY PREVIEW – analytic path of the next projectile
+ **********************************************************************/
+function createTrajectoryPreview() {
+  const vacuum = createPreviewPath(0xffe066);
+  trajectoryLine = vacuum.line;
+  landingMarker = vacuum.marker;
+
+  const withDrag = createPreviewPath(0x66e0ff);
+  dragTrajectoryLine = withDrag.line;
+  dragLandingMarker = withDrag.marker;
+}
+
+function createPreviewPath(color) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(trajectorySamples * 3), 3)
+  );
+
+  const mat = new THREE.LineDashedMaterial({
+    color,
+    dashSize: 0.25,
+    gapSize: 0.15,
+    transparent: true,
+    opacity: 0.9
+  });
+
+  const line = new THREE.Line(geo, mat);
+  line.frustumCulled = false;
+  scene.add(line);
+
+  const marker = new THREE.Mesh(
+    new THREE.RingGeometry(0.3, 0.42, 32),
+    new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide })
+  );
+  marker.rotation.x = -Math.PI / 2;
+  scene.add(marker);
+
+  return { line, marker };
+}
+
+// Time (s) for the projectile centre to come down to floor contact, or null
+function getTimeOfFlight(startPos, velocity, acceleration) {
+  // y(t) = y0 + vy t + ½ ay t² = radius
+  const a = 0.5 * acceleration.y;
+  const b = velocity.y;
+  const c = startPos.y - projectileRadius;
+
+  if (Math.abs(a) < 1e-9) {
+    return b < 0 ? -c / b : null;
+  }
+
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+
+  const sq = Math.sqrt(disc);
+  const roots = [(-b - sq) / (2 * a), (-b + sq) / (2 * a)].filter((t) => t > 0);
+  return roots.length ? Math.min(...roots) : null;
+}
+
+function getPredictedTrajectory(launch) {
+  const { startPos, velocity, acceleration } = launch;
+  const flightTime = getTimeOfFlight(startPos, velocity, acceleration);
+  const duration = flightTime ?? 5; // no landing: just show the first 5 s
+
+  const points = [];
+  for (let i = 0; i < trajectorySamples; i++) {
+    const t = (i / (trajectorySamples - 1)) * duration;
+    points.push(
+      startPos.clone()
+        .addScaledVector(velocity, t)
+        .addScaledVector(acceleration, 0.5 * t * t)
+    );
+  }
+
+  // apex: where vy = 0 (only if it is still rising and being pulled down)
+  let apexHeight = startPos.y;
+  if (velocity.y > 0 && acceleration.y < 0) {
+    apexHeight += (velocity.y * velocity.y) / (-2 * acceleration.y);
+  }
+
+  const landing = flightTime !== null ? points[points.length - 1] : null;
+  const range = landing
+    ? Math.hypot(landing.x - startPos.x, landing.z - startPos.z)
+    : null;
+
+  return { points, flightTime, apexHeight, range, landing };
+}
+
+// Numerical path with drag + wind, using the same sub-step as the simulation
+function getSimulatedTrajectory(launch) {
+  const { startPos, acceleration, mass, drag } = launch;
+  const pos = startPos.clone();
+  const vel = launch.velocity.clone();
+  const dragAcc = new THREE.Vector3();
+  const h = physicsSettings.fixedDelta / physicsSettings.subSteps;
+
+  const path = [pos.clone()];
+  let apexHeight = pos.y;
+  let flightTime = null;
+
+  // integrate at the sub-step rate, but keep only one point per fixed step
+  let step = 0;
+  for (let t = h; t <= maxPredictionTime; t += h) {
+    vel.addScaledVector(acceleration, h);
+    vel.addScaledVector(getDragAcceleration(vel, drag, projectileRadius, mass, dragAcc), h);
+    pos.addScaledVector(vel, h);
+    apexHeight = Math.max(apexHeight, pos.y);
+
+    if (pos.y <= projectileRadius && vel.y < 0) {
+      flightTime = t;
+      break;
+    }
+    if (++step % physicsSettings.subSteps === 0) path.push(pos.clone());
+  }
+  path.push(pos.clone()); // landing (or cut-off) point
+
+  // resample to the preview's fixed number of points
+  const points = [];
+  for (let i = 0; i < trajectorySamples; i++) {
+    points.push(path[Math.round((i / (trajectorySamples - 1)) * (path.length - 1))]);
+  }
+
+  const landing = flightTime !== null ? points[points.length - 1] : null;
+  const range = landing
+    ? Math.hypot(landing.x - startPos.x, landing.z - startPos.z)
+    : null;
+
+  return { points, flightTime, apexHeight, range, landing };
+}
+
+function drawPreviewPath(line, marker, prediction) {
+  const attr = line.geometry.getAttribute("position");
+  prediction.points.forEach((p, i) => attr.setXYZ(i, p.x, p.y, p.z));
+  attr.needsUpdate = true;
+  // an orbit preview may have emptied the range (radial launch)
+  line.geometry.setDrawRange(0, prediction.points.length);
+  line.computeLineDistances();
+
+  marker.visible = !!prediction.landing;
+  if (prediction.landing) {
+    marker.position.set(prediction.landing.x, 0.02, prediction.landing.z);
+  }
+}
+
+function describePrediction(prediction) {
+  if (!prediction.landing) {
+    return `Apex: ${prediction.apexHeight.toFixed(2)} m | no landing`;
+  }
+  return (
+    `Range: ${prediction.range.toFixed(2)} m | ` +
+    `Apex: ${prediction.apexHeight.toFixed(2)} m | ` +
+    `Flight: ${prediction.flightTime.toFixed(2)} s`
+  );
+}
+
+function updateTrajectoryPreview() {
+  if (!trajectoryLine || !showPredictionCheckbox) return;
+
+  const airDensity = gravityPresets[currentGravityPreset].airDensity;
+  airDensityLabel.textContent = `Air density: ${airDensity.toFixed(3)} kg/m³`;
+
+  const visible = showPredictionCheckbox.checked;
+  trajectoryLine.visible = visible;
+  landingMarker.visible = false;
+  dragTrajectoryLine.visible = false;
+  dragLandingMarker.visible = false;
+  if (!visible) {
+    predictionLabel.textContent = "";
+    return;
+  }
+
+  const launch = getProjectileLaunch();
+
+  // orbit mode: the dashed line is the predicted Kepler conic instead
+  if (launch.orbit) {
+    const primary = getPrimaryAttractor();
+    const elements = getOrbitalElements(
+      launch.startPos.clone().sub(primary.mesh.position),
+      launch.velocity,
+      primary.mu
+    );
+    drawOrbitPath(trajectoryLine, primary, elements);
+    predictionLabel.textContent = describeOrbit(elements);
+    return;
+  }
+
+  const vacuum = getPredictedTrajectory(launch);
+  drawPreviewPath(trajectoryLine, landingMarker, vacuum);
+
+  if (!launch.drag) {
+    predictionLabel.textContent = describePrediction(vacuum);
+    return;
+  }
+
+  // side-by-side: vacuum parabola (yellow) vs. real ballistic path (cyan);
+  // only re-integrated when the launch, drag settings or step size change
+  const key = JSON.stringify([launch, physicsSettings.fixedDelta, physicsSettings.subSteps]);
+  if (dragPrediction.key !== key) {
+    dragPrediction = { key, trajectory: getSimulatedTrajectory(launch) };
+  }
+  const withDrag = dragPrediction.trajectory;
+  dragTrajectoryLine.visible = true;
+  drawPreviewPath(dragTrajectoryLine, dragLandingMarker, withDrag);
+
+  predictionLabel.textContent =
+    `Vacuum – ${describePrediction(vacuum)}\n` +
+    `With drag – ${describePrediction(withDrag)}`;
+}
+
+function clearProjectiles() {
+  for (let i = projectiles.length - 1; i >= 0; i--) {
+    const p = projectiles[i];
+    if (p.mesh) {
+      scene.remove(p.mesh);
+    }
+    if (p.trail) {
+      scene.remove(p.trail.line);
+      p.trail.line.geometry.dispose();
+    }
+  }
+  projectiles.length = 0;
+}
+
+
+/**********************************************************************
+ * SCENARIOS – preset demos built on an emptied Playground
+ **********************************************************************/
+function loadScenario(key) {
+  const scenario = scenarios[key];
+  if (!scenario) return;
+
+  // back to the start-up scene, keeping the user's lighting
+  stopExperiment();
+  cancelMeasureTool();
+  clearMeasurements();
+  applySnapshot({
+    ...startupSnapshot,
+    lights: sceneLights.map(getLightSettings),
+    exposure: renderer.toneMappingExposure
+  });
+
+  gravityPresetSelect.value = scenario.preset;
+  onGravityPresetChange();
+
+  if (scenario.build) {
+    // the original five make way for the demo
+    for (const obj of [bouncingSphere, spinningTorus, rotatingCube, wall, energyCone]) {
+      setObjectHidden(obj, true);
+    }
+    scenario.build(gravityPresets[scenario.preset].gravity.length());
+    updateSceneColliders();
+  }
+
+  setCameraView({ ...scenario.camera, target: new THREE.Vector3().fromArray(scenario.camera.target) });
+  scenarioBriefLabel.textContent = scenario.brief;
+}
+
+// Hidden objects drop out of picking and collisions but stay in snapshots
+function setObjectHidden(obj, hidden) {
+  obj.visible = !hidden;
+  const index = clickableObjects.indexOf(obj);
+  if (hidden && index >= 0) {
+    deselectObject(obj);
+    clickableObjects.splice(index, 1);
+  } else if (!hidden && index < 0) {
+    clickableObjects.push(obj);
+    updateCollider(obj);
+  }
+}
+
+// Hangs obj from a fixed anchor on a rod
+function hangFromAnchor(obj, anchor) {
+  return addJoint("rod", createJointEnd(obj, obj.position), { body: null, local: anchor.clone() }, {
+    restLength: obj.position.distanceTo(anchor),
+    stiffness: 40,
+    damping: 0.5
+  });
+}
+
+function buildNewtonsCradle() {
+  const count = 5;
+  const radius = 0.4;
+  const length = 2.5;
+  const anchorY = 4;
+  const spacing = 2 * radius + 0.01; // a hair apart, so each impact passes down the row in turn
+  const pullBack = THREE.MathUtils.degToRad(40);
+
+  for (let i = 0; i < count; i++) {
+    const anchor = new THREE.Vector3((i - (count - 1) / 2) * spacing, anchorY, 0);
+    const ball = addBuiltObject(
+      { shape: "sphere", material: "metal", color: 0xc0c0c0, size: 2 * radius, mass: 1, restitution: 1, friction: 0 },
+      anchor
+    );
+    const angle = i === 0 ? -pullBack : 0;
+    ball.position.set(anchor.x + Math.sin(angle) * length, anchorY - Math.cos(angle) * length, 0);
+    hangFromAnchor(ball, anchor);
+  }
+}
+
+function buildDominoRun() {
+  const count = 15;
+  const spacing = 0.7;
+  const size = new THREE.Vector3(0.2, 1.2, 0.6);
+  const zAxis = new THREE.Vector3(0, 0, 1);
+  const lean = THREE.MathUtils.degToRad(15);
+
+  for (let i = 0; i < count; i++) {
+    const color = new THREE.Color().setHSL(i / count, 0.7, 0.5).getHex();
+    const domino = addBuiltObject(
+      { shape: "box", material: "plastic", color, size: 1, mass: 0.5, restitution: 0.1, friction: 0.6 },
+      new THREE.Vector3((i - (count - 1) / 2) * spacing, 0, 0)
+    );
+    domino.scale.copy(size);
+    domino.position.y = size.y / 2;
+
+    // the first one leans on its front edge, past the angle where it tips over
+    if (i === 0) {
+      const pivot = new THREE.Vector3(domino.position.x + size.x / 2, 0, 0);
+      domino.position.sub(pivot).applyAxisAngle(zAxis, -lean).add(pivot);
+      domino.quaternion.setFromAxisAngle(zAxis, -lean);
+    }
+    updateCollider(domino);
+    startGravity(domino).keepSimulated = true;
+  }
+}
+
+function buildBilliardBreak() {
+  const rows = 5;
+  const radius = 0.4; // spawned spheres
+  const gap = 2 * radius + 0.01;
+
+  let n = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let k = 0; k <= row; k++) {
+      const position = new THREE.Vector3(1 + row * gap * Math.sqrt(3) / 2, radius, (k - row / 2) * gap);
+      const color = new THREE.Color().setHSL(n++ / 15, 0.8, 0.45).getHex();
+      addFallingSphere(position, new THREE.Vector3(), color).restitution = 0.9;
+    }
+  }
+
+  const cue = addFallingSphere(new THREE.Vector3(-6, radius, 0), new THREE.Vector3(14, 0, 0), 0xffffff);
+  cue.restitution = 0.9;
+}
+
+// Pendulum i makes first + i swings per cycle, so all of them line up again every cycle
+function buildPendulumWave(g) {
+  const count = 12;
+  const cycle = 40;
+  const first = 15;
+  const anchorY = 4;
+  const release = THREE.MathUtils.degToRad(20);
+
+  for (let i = 0; i < count; i++) {
+    // a wide swing is slower by about 1 + θ²/16, so the lengths are shortened to match
+    const period = cycle / (first + i) / (1 + release ** 2 / 16);
+    const length = g * (period / (2 * Math.PI)) ** 2;
+    const anchor = new THREE.Vector3((i - (count - 1) / 2) * 0.5, anchorY, 0);
+    const color = new THREE.Color().setHSL(i / count, 0.7, 0.55).getHex();
+    const bob = addBuiltObject(
+      { shape: "sphere", material: "plastic", color, size: 0.4, mass: 1, restitution: 0.4, friction: 0.5 },
+      anchor
+    );
+    bob.position.set(anchor.x, anchorY - Math.cos(release) * length, Math.sin(release) * length);
+
+    // no air damping, so the swings are still wide when the pattern comes round
+    hangFromAnchor(bob, anchor).a.body.linearDamping = 0;
+  }
+}
+
+function buildTowerCollapse() {
+  const levels = 8;
+  const height = 0.4;
+
+  // two 1.2 m blocks per level, each level crossing the one below
+  for (let level = 0; level < levels; level++) {
+    const crossed = level % 2 === 1;
+    for (let k = 0; k < 2; k++) {
+      const offset = (k - 0.5) * 0.6;
+      const block = addBuiltObject(
+        {
+          shape: "box",
+          material: "matte",
+          color: crossed ? 0xc8a165 : 0xa67c52,
+          size: 1,
+          mass: 170, // pine, about 600 kg/m³
+          restitution: 0.1,
+          friction: 0.7
+        },
+        crossed ? new THREE.Vector3(3 + offset, 0, 0) : new THREE.Vector3(3, 0, offset)
+      );
+      block.scale.set(crossed ? 0.6 : 1.2, height, crossed ? 1.2 : 0.6);
+      block.position.y = height / 2 + level * height;
+      updateCollider(block);
+      startGravity(block).keepSimulated = true;
+    }
+  }
+
+  // a heavy iron ball (7870 kg/m³) thrown at the lower levels
+  addFallingSphere(new THREE.Vector3(-4, 1.2, 0), new THREE.Vector3(6, 1.5, 0), 0x555555, 7870);
+}
+
+
+/**********************************************************************
+ * GUIDED EXPERIMENTS – lessons with a measurable objective
+ **********************************************************************/
+function startExperiment(key) {
+  const exp = experiments[key];
+  if (!exp) return;
+  stopExperiment();
+
+  // a comparable setup: launch from the default point, in vacuum, under the lesson's gravity
+  setSelection([]);
+  clearProjectiles();
+  orbitState.enabled = false;
+  orbitModeCheckbox.checked = false;
+  gravityPresetSelect.value = exp.preset;
+  onGravityPresetChange();
+  dragModelSelect.value = "off";
+  projectileSpeedInput.value = String(exp.launcher.speed);
+  projectileAngleInput.value = String(exp.launcher.elevation);
+  projectileHAngleInput.value = String(exp.launcher.horizontal);
+  projectileAccelInput.value = "0";
+
+  experimentState.active = key;
+  placeExperimentMarkers(exp);
+
+  experimentBriefLabel.textContent = exp.brief;
+  updateExperimentPanel();
+}
+
+function stopExperiment() {
+  for (const mesh of experimentState.markers) {
+    scene.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  }
+  experimentState.markers.length = 0;
+  experimentState.attempts.length = 0;
+  experimentState.shots.clear();
+  experimentState.target = null;
+  experimentState.active = null;
+  updateExperimentPanel();
+}
+
+function addExperimentMarker(geometry, color, position, opacity = 0.85) {
+  const mesh = new THREE.Mesh(
+    geometry,
+    new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, transparent: true, opacity })
+  );
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.position.set(position.x, 0.015, position.z);
+  scene.add(mesh);
+  experimentState.markers.push(mesh);
+  return mesh;
+}
+
+function placeExperimentMarkers(exp) {
+  const launch = getProjectileLaunch();
+  const start = launch.startPos;
+  const o = exp.objective;
+
+  if (o.type === "target" || o.type === "twoAngles") {
+    // along the launcher's horizontal direction, on the floor
+    const dir = new THREE.Vector3(launch.velocity.x, 0, launch.velocity.z).normalize();
+    experimentState.target = start.clone().addScaledVector(dir, o.distance).setY(0);
+    addExperimentMarker(new THREE.CircleGeometry(o.tolerance, 48), 0xff6b6b, experimentState.target, 0.35);
+    addExperimentMarker(new THREE.RingGeometry(o.tolerance * 0.92, o.tolerance, 48), 0xff6b6b, experimentState.target);
+    addExperimentMarker(new THREE.CircleGeometry(0.12, 16), 0xffffff, experimentState.target);
+  }
+
+  if (o.type === "maxRange") {
+    // measurement zone: every landing point at 99–100% of the best range
+    experimentState.maxRange = getMaxRange(start, exp.launcher.speed, launch.acceleration);
+    addExperimentMarker(
+      new THREE.RingGeometry(experimentState.maxRange * o.fraction, experimentState.maxRange, 96),
+      0x69db7c,
+      start,
+      0.5
+    );
+  }
+}
+
+// Longest vacuum range at this speed over all elevations (0.1° steps)
+function getMaxRange(startPos, speed, acceleration) {
+  let best = 0;
+  for (let deg = 0; deg <= 90; deg += 0.1) {
+    const rad = THREE.MathUtils.degToRad(deg);
+    const velocity = new THREE.Vector3(Math.cos(rad) * speed, Math.sin(rad) * speed, 0);
+    const t = getTimeOfFlight(startPos, velocity, acceleration);
+    if (t !== null) best = Math.max(best, velocity.x * t);
+  }
+  return best;
+}
+
+// Called once per fixed step: checks lesson projectiles that have just landed
+function checkExperimentShots() {
+  if (!experimentState.active) return;
+
+  for (const body of [...experimentState.shots]) {
+    if (!projectiles.includes(body)) {
+      experimentState.shots.delete(body); // cleared before it landed
+    } else if (body.flightLog.landing) {
+      experimentState.shots.delete(body);
+      recordExperimentAttempt(body.flightLog);
+    }
+  }
+}
+
+function recordExperimentAttempt(log) {
+  const exp = experiments[experimentState.active];
+  const start = new THREE.Vector3().fromArray(log.startPosition);
+  const velocity = new THREE.Vector3().fromArray(log.initialVelocity);
+  const landing = new THREE.Vector3(log.landing.x, 0, log.landing.z);
+
+  const attempt = {
+    n: experimentState.attempts.length + 1,
+    preset: log.preset,
+    drag: !!log.drag,
+    speed: velocity.length(),
+    elevation: THREE.MathUtils.radToDeg(Math.atan2(velocity.y, Math.hypot(velocity.x, velocity.z))),
+    range: Math.hypot(landing.x - start.x, landing.z - start.z),
+    flightTime: log.landing.t,
+    landing
+  };
+  Object.assign(attempt, checkExperimentAttempt(exp, attempt));
+  experimentState.attempts.push(attempt);
+
+  addExperimentMarker(new THREE.CircleGeometry(0.18, 16), attempt.pass ? 0x69db7c : 0xff922b, landing);
+  updateExperimentPanel();
+}
+
+// { pass, detail } for one landed projectile
+function checkExperimentAttempt(exp, attempt) {
+  if (attempt.preset !== exp.preset) {
+    return { pass: false, detail: `needs ${gravityPresets[exp.preset].label} gravity` };
+  }
+  if (attempt.drag) {
+    return { pass: false, detail: "air drag must be off" };
+  }
+  if (exp.fixedSpeed && Math.abs(attempt.speed - exp.launcher.speed) > 0.01) {
+    return { pass: false, detail: `keep the speed at ${exp.launcher.speed} m/s` };
+  }
+
+  const o = exp.objective;
+  switch (o.type) {
+    case "target": {
+      const error = attempt.landing.distanceTo(experimentState.target);
+      return { pass: error <= o.tolerance, detail: `${error.toFixed(2)} m from the target` };
+    }
+
+    case "maxRange": {
+      const share = attempt.range / experimentState.maxRange;
+      return {
+        pass: share >= o.fraction,
+        detail: `${(share * 100).toFixed(1)}% of max ${experimentState.maxRange.toFixed(2)} m`
+      };
+    }
+
+    case "flightTime":
+      return {
+        pass: attempt.flightTime >= o.min && attempt.flightTime <= o.max,
+        detail: `${attempt.flightTime.toFixed(2)} s in the air`
+      };
+
+    case "twoAngles": {
+      const error = attempt.landing.distanceTo(experimentState.target);
+      attempt.hit = error <= o.tolerance;
+      if (!attempt.hit) return { pass: false, detail: `${error.toFixed(2)} m from the target` };
+
+      const other = experimentState.attempts.find(
+        (a) => a.hit && Math.abs(a.elevation - attempt.elevation) >= o.minAngleGap
+      );
+      return other
+        ? { pass: true, detail: `hits at ${other.elevation.toFixed(1)}° and ${attempt.elevation.toFixed(1)}°` }
+        : { pass: false, detail: "hit – now find the other angle" };
+    }
+  }
+  return { pass: false, detail: "" };
+}
+
+function updateExperimentPanel() {
+  if (!experimentStatusLabel) return;
+
+  if (!experimentState.active) {
+    experimentStatusLabel.textContent = "No experiment running.";
+    experimentLog.textContent = "";
+    return;
+  }
+
+  const attempts = experimentState.attempts;
+  const passed = attempts.filter((a) => a.pass).length;
+  const inFlight = experimentState.shots.size;
+  experimentStatusLabel.innerHTML =
+    (passed ? `<b style="color:#69db7c">PASSED</b>` : `<b style="color:#ff922b">Not passed yet</b>`) +
+    ` – ${attempts.length} attempt(s), ${passed} successful` +
+    (inFlight ? `, ${inFlight} in flight` : "");
+
+  // latest attempts first
+  experimentLog.textContent = attempts
+    .slice(-6)
+    .reverse()
+    .map(
+      (a) =>
+        `#${a.n} ${a.pass ? "✓" : "✗"} ${a.speed.toFixed(1)} m/s @ ${a.elevation.toFixed(1)}° → ` +
+        `${a.range.toFixed(2)} m, ${a.flightTime.toFixed(2)} s | ${a.detail}`
+    )
+    .join("\n");
+}
+
+/**********************************************************************
+ * MEASUREMENT TOOLS – ruler, protractor and stopwatch with scene labels
+ **********************************************************************/
+function startMeasureTool(tool) {
+  cancelMeasureTool();
+  measureState.tool = tool;
+  measureInfoLabel.textContent =
+    tool === "ruler"
+      ? "Click two points on objects or the floor (Esc cancels)."
+      : "Click a point on the first arm, then the vertex, then a point on the second arm (Esc cancels).";
+}
+
+function cancelMeasureTool() {
+  for (const mesh of measureState.markers) removeMeasureObject(mesh);
+  measureState.markers.length = 0;
+  measureState.points.length = 0;
+  measureState.tool = null;
+}
+
+function addMeasurePoint(point) {
+  const tool = measureState.tool;
+  measureState.points.push(point.clone());
+  measureState.markers.push(createMeasureMarker(point, measureColors[tool]));
+
+  const needed = tool === "ruler" ? 2 : 3;
+  if (measureState.points.length < needed) return;
+
+  // the finished measurement takes over the markers
+  const points = [...measureState.points];
+  const objects = [...measureState.markers];
+  measureState.markers.length = 0;
+  cancelMeasureTool();
+
+  if (tool === "ruler") addRulerMeasurement(points, objects);
+  else addProtractorMeasurement(points, objects);
+}
+
+function addRulerMeasurement([a, b], objects) {
+  const distance = a.distanceTo(b);
+  const rise = b.y - a.y;
+  const run = Math.hypot(b.x - a.x, b.z - a.z);
+
+  objects.push(createMeasureLine([a, b], measureColors.ruler));
+  const label = createMeasureLabel(
+    `${distance.toFixed(3)} m (horizontal ${run.toFixed(2)} m, vertical ${rise.toFixed(2)} m)`,
+    measureColors.ruler
+  );
+  label.position.lerpVectors(a, b, 0.5);
+
+  measurements.push({ type: "ruler", objects, label });
+  measureInfoLabel.textContent = `Ruler: ${distance.toFixed(3)} m.`;
+}
+
+function createProtractorArc(a, vertex, c, angle) {
+  const armA = a.clone().sub(vertex);
+  const armC = c.clone().sub(vertex);
+  const axis = armA.clone().cross(armC);
+  if (axis.lengthSq() < 1e-10) return null; // straight (0° / 180°): no plane for the arc
+
+  axis.normalize();
+  const radius = 0.3 * Math.min(armA.length(), armC.length());
+  const start = armA.normalize().multiplyScalar(radius);
+  const points = [];
+  for (let i = 0; i <= 24; i++) {
+    points.push(start.clone().applyAxisAngle(axis, (i / 24) * angle).add(vertex));
+  }
+  return createMeasureLine(points, measureColors.protractor);
+}
+
+function addProtractorMeasurement([a, vertex, c], objects) {
+  const angle = a.clone().sub(vertex).angleTo(c.clone().sub(vertex));
+  const degrees = THREE.MathUtils.radToDeg(angle);
+
+  objects.push(createMeasureLine([a, vertex, c], measureColors.protractor));
+  const arc = createProtractorArc(a, vertex, c, angle);
+  if (arc) objects.push(arc);
+
+  const label = createMeasureLabel(`${degrees.toFixed(1)}° (${angle.toFixed(3)} rad)`, measureColors.protractor);
+  label.position.copy(vertex);
+
+  measurements.push({ type: "protractor", objects, label });
+  measureInfoLabel.textContent = `Protractor: ${degrees.toFixed(1)}°.`;
+}
+
+function clearMeasurements() {
+  cancelMeasureTool();
+  for (const m of measurements) {
+    m.objects.forEach(removeMeasureObject);
+    m.label.el.remove();
+  }
+  measurements.length = 0;
+
+  if (stopwatch.label) stopwatch.label.el.remove();
+  stopwatch.label = null;
+  stopwatch.running = false;
+  measureInfoLabel.textContent = "";
+}
+
+function createMeasureMarker(point, color) {
+  const marker = new THREE.Mesh(
+    new THREE.SphereBufferGeometry(0.06, 12, 8),
+    new THREE.MeshBasicMaterial({ color, depthTest: false })
+  );
+  marker.position.copy(point);
+  marker.renderOrder = 10;
+  scene.add(marker);
+  return marker;
+}
+
+// Drawn on top of the scene so the measurement stays readable inside objects
+function createMeasureLine(points, color) {
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineBasicMaterial({ color, depthTest: false })
+  );
+  line.renderOrder = 10;
+  scene.add(line);
+  return line;
+}
+
+function removeMeasureObject(obj) {
+  scene.remove(obj);
+  obj.geometry.dispose();
+  obj.material.dispose();
+}
+
+// A text label pinned to a world position (moved every frame in updateMeasureLabels)
+function createMeasureLabel(text, color) {
+  const el = document.createElement("div");
+  el.style.position = "absolute";
+  el.style.pointerEvents = "none";
+  el.style.padding = "2px 6px";
+  el.style.background = "rgba(0, 0, 0, 0.75)";
+  el.style.color = "#" + new THREE.Color(color).getHexString();
+  el.style.fontFamily = "monospace";
+  el.style.fontSize = "12px";
+  el.style.whiteSpace = "nowrap";
+  el.style.borderRadius = "4px";
+  el.style.transform = "translate(-50%, -130%)";
+  el.style.zIndex = "5";
+  el.textContent = text;
+  document.body.appendChild(el);
+
+  return { el, position: new THREE.Vector3() };
+}
+
+function updateMeasureLabels() {
+  if (stopwatch.label) {
+    if (stopwatch.running) {
+      const body = stopwatch.bodies[0];
+      stopwatch.label.position.copy(body.mesh.position);
+      stopwatch.label.position.y += body.radius;
+    }
+    stopwatch.label.el.textContent = `⏱ ${stopwatch.elapsed.toFixed(2)} s${stopwatch.running ? "" : " (floor)"}`;
+  }
+
+  const rect = renderer.domElement.getBoundingClientRect();
+  const labels = measurements.map((m) => m.label);
+  if (stopwatch.label) labels.push(stopwatch.label);
+
+  for (const label of labels) {
+    const p = label.position.clone().project(camera);
+    if (p.z > 1) {
+      label.el.style.display = "none"; // behind the camera
+      continue;
+    }
+    label.el.style.display = "block";
+    label.el.style.left = `${rect.left + ((p.x + 1) / 2) * rect.width}px`;
+    label.el.style.top = `${rect.top + ((1 - p.y) / 2) * rect.height}px`;
+  }
+}
+
+// Times the new / released bodies until the first of them touches the floor
+function startStopwatch(bodies) {
+  if (!stopwatch.enabled || !bodies.length) return;
+
+  bodies.forEach((body) => (body.landedAt = null));
+  stopwatch.bodies = bodies;
+  stopwatch.start = timeElapsed;
+  stopwatch.elapsed = 0;
+  stopwatch.running = true;
+  if (!stopwatch.label) stopwatch.label = createMeasureLabel("", measureColors.stopwatch);
+  measureInfoLabel.textContent = "Stopwatch running…";
+}
+
+// Called once per fixed step, so pausing or slow motion doesn't change the reading
+function updateStopwatch() {
+  if (!stopwatch.running) return;
+
+  const simulated = getSimulatedBodies();
+  const bodies = stopwatch.bodies.filter((body) => simulated.includes(body));
+  if (!bodies.length) {
+    stopwatch.running = false; // removed before it landed
+    measureInfoLabel.textContent = "Stopwatch cancelled.";
+    return;
+  }
+
+  const landed = bodies.filter((body) => body.landedAt !== null);
+  if (!landed.length) {
+    stopwatch.elapsed = timeElapsed - stopwatch.start;
+    return;
+  }
+
+  const first = landed.reduce((a, b) => (b.landedAt < a.landedAt ? b : a));
+  stopwatch.elapsed = first.landedAt - stopwatch.start;
+  stopwatch.running = false;
+  stopwatch.label.position.copy(first.mesh.position);
+  stopwatch.label.position.y += first.radius;
+  measureInfoLabel.textContent = `Stopwatch: ${stopwatch.elapsed.toFixed(2)} s to the first floor contact.`;
+}
+
+/**********************************************************************
+ * ORBITAL SANDBOX – point-mass attractors, Newtonian gravity a = -μ r̂ / r²
+ **********************************************************************/
+function startPlacingAttractor(type) {
+  orbitState.placing = type;
+  orbitInfoLabel.textContent = `Click the floor to place the ${attractorTypes[type].label.toLowerCase()}.`;
+}
+
+function placeAttractor(type, floorPoint) {
+  const def = attractorTypes[type];
+
+  const mat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.9 });
+  textureLoader.load(def.texture, (tex) => {
+    tex.encoding = THREE.sRGBEncoding;
+    mat.map = tex;
+    mat.needsUpdate = true;
+  });
+
+  const mesh = new THREE.Mesh(new THREE.SphereGeometry(def.radius, 48, 32), mat);
+  mesh.position.set(floorPoint.x, attractorHeight, floorPoint.z);
+  mesh.castShadow = true;
+  scene.add(mesh);
+
+  orbitState.attractors.push({ mesh, type, mu: def.mu, radius: def.radius });
+  orbitState.placing = null;
+  orbitInfoLabel.textContent = "";
+}
+
+function clearAttractors() {
+  for (const a of orbitState.attractors) {
+    scene.remove(a.mesh);
+    a.mesh.geometry.dispose();
+  }
+  orbitState.attractors.length = 0;
+  orbitState.placing = null;
+}
+
+// The heaviest attractor is the one we launch from and measure orbits around
+function getPrimaryAttractor() {
+  let primary = null;
+  for (const a of orbitState.attractors) {
+    if (!primary || a.mu > primary.mu) primary = a;
+  }
+  return primary;
+}
+
+function getAttractorAcceleration(position, target = new THREE.Vector3()) {
+  target.set(0, 0, 0);
+  const toAttractor = new THREE.Vector3();
+
+  for (const a of orbitState.attractors) {
+    toAttractor.copy(a.mesh.position).sub(position);
+    const r2 = Math.max(toAttractor.lengthSq(), a.radius * a.radius); // no singularity inside
+    target.addScaledVector(toAttractor.normalize(), a.mu / r2);
+  }
+  return target;
+}
+
+// Landing on an attractor: stick to its surface and stop
+function checkAttractorImpact(body) {
+  for (const a of orbitState.attractors) {
+    const offset = body.mesh.position.clone().sub(a.mesh.position);
+    const minDist = a.radius + body.radius;
+    if (offset.length() < minDist) {
+      body.mesh.position.copy(a.mesh.position).addScaledVector(offset.normalize(), minDist);
+      body.velocity.set(0, 0, 0);
+      body.angularVelocity.set(0, 0, 0);
+      body.active = false;
+      return;
+    }
+  }
+}
+
+// Two-body orbital elements from position r and velocity v relative to an attractor
+function getOrbitalElements(r, v, mu) {
+  const rLen = r.length();
+  const energy = v.lengthSq() / 2 - mu / rLen; // specific orbital energy
+  const h = new THREE.Vector3().crossVectors(r, v); // specific angular momentum
+
+  // eccentricity vector e = (v × h)/μ − r̂, pointing at periapsis
+  const eVec = new THREE.Vector3()
+    .crossVectors(v, h)
+    .divideScalar(mu)
+    .sub(r.clone().divideScalar(rLen));
+  const e = eVec.length();
+
+  const bound = energy < 0;
+  const a = bound ? -mu / (2 * energy) : null; // semi-major axis
+  const period = bound ? 2 * Math.PI * Math.sqrt((a * a * a) / mu) : null;
+
+  return { r: r.clone(), h, eVec, e, energy, a, period, mu };
+}
+
+function describeOrbit(el) {
+  if (el.energy < 0) {
+    return (
+      `Orbit – e: ${el.e.toFixed(3)} | a: ${el.a.toFixed(2)} m | ` +
+      `T: ${el.period.toFixed(2)} s`
+    );
+  }
+  return `Escape trajectory – e: ${el.e.toFixed(3)} (${el.e > 1.0001 ? "hyperbolic" : "parabolic"})`;
+}
+
+function drawOrbitPath(line, primary, el) {
+  const hLen = el.h.length();
+  const attr = line.geometry.getAttribute("position");
+  const count = trajectorySamples;
+  if (hLen < 1e-6) {
+    // straight up/down: no conic to draw
+    line.geometry.setDrawRange(0, 0);
+    return;
+  }
+
+  // orbital plane basis: p towards periapsis (or the launch point if circular)
+  const p = el.e > 1e-6 ? el.eVec.clone().normalize() : el.r.clone().normalize();
+  const q = new THREE.Vector3().crossVectors(el.h, p).normalize();
+  const semiLatus = (hLen * hLen) / el.mu;
+
+  // ellipses go all the way round; open orbits stop short of their asymptotes
+  const maxNu = el.e < 1 ? Math.PI : Math.acos(-1 / el.e) * 0.95;
+
+  for (let i = 0; i < count; i++) {
+    const nu = -maxNu + (2 * maxNu * i) / (count - 1);
+    const radius = Math.min(semiLatus / (1 + el.e * Math.cos(nu)), 200);
+    const pt = p.clone().multiplyScalar(Math.cos(nu) * radius)
+      .addScaledVector(q, Math.sin(nu) * radius)
+      .add(primary.mesh.position);
+    attr.setXYZ(i, pt.x, pt.y, pt.z);
+  }
+  attr.needsUpdate = true;
+  line.geometry.setDrawRange(0, count);
+  line.computeLineDistances();
+}
+
+// Live Kepler readout for the latest orbiting projectile
+function updateOrbitReadout() {
+  if (!orbitInfoLabel || orbitState.placing) return;
+
+  const primary = getPrimaryAttractor();
+  const body = [...projectiles].reverse().find((p) => p.orbital);
+  if (!primary || !body) {
+    orbitInfoLabel.textContent = primary ? "" : "Place a planet, then launch in orbit mode.";
+    return;
+  }
+
+  if (!body.active) {
+    orbitInfoLabel.textContent = "Last launch: landed on an attractor.";
+    return;
+  }
+
+  const r = body.mesh.position.clone().sub(primary.mesh.position);
+  const el = getOrbitalElements(r, body.velocity, primary.mu);
+  orbitInfoLabel.textContent =
+    `Last launch – ${describeOrbit(el)}\n` +
+    `r: ${r.length().toFixed(2)} m | v: ${body.velocity.length().toFixed(2)} m/s`;
+}
+
+
+/**********************************************************************
+ * FLIGHT DATA – fading trails + time-stamped samples for export
+ **********************************************************************/
+function createTrail(color) {
+  const geo = new THREE.BufferGeometry();
+  geo.setAttribute("position", new THREE.BufferAttribute(new Float32Array(trailLength * 3), 3));
+  geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(trailLength * 3), 3));
+  geo.setDrawRange(0, 0);
+
+  // additive blending: colours fading to black fade into the scene
+  const mat = new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+
+  const line = new THREE.Line(geo, mat);
+  line.frustumCulled = false;
+  scene.add(line);
+
+  return { line, color: new THREE.Color(color), points: [] };
+}
+
+function updateTrail(trail, position) {
+  trail.points.push(position.clone());
+  if (trail.points.length > trailLength) trail.points.shift();
+
+  const geo = trail.line.geometry;
+  const pos = geo.getAttribute("position");
+  const col = geo.getAttribute("color");
+  const n = trail.points.length;
+
+  trail.points.forEach((p, i) => {
+    const fade = (i + 1) / n; // oldest point is darkest
+    pos.setXYZ(i, p.x, p.y, p.z);
+    col.setXYZ(i, trail.color.r * fade, trail.color.g * fade, trail.color.b * fade);
+  });
+
+  pos.needsUpdate = true;
+  col.needsUpdate = true;
+  geo.setDrawRange(0, n);
+}
+
+function recordFlightSample(body) {
+  const log = body.flightLog;
+  if (log.samples.length >= maxFlightSamples) return;
+
+  const p = body.mesh.position;
+  const v = body.velocity;
+  log.samples.push({
+    t: timeElapsed - log.launchTime,
+    x: p.x, y: p.y, z: p.z,
+    vx: v.x, vy: v.y, vz: v.z
+  });
+}
+
+// First floor contact: where and when the flight ended
+function recordLanding(body) {
+  const log = body.flightLog;
+  const p = body.mesh.position;
+  log.landing = { t: timeElapsed - log.launchTime, x: p.x, y: p.y, z: p.z };
+}
+
+// Called once per fixed step: extends trails and logs moving projectiles
+function recordProjectiles() {
+  for (const p of projectiles) {
+    if (!p.active || !p.flightLog) continue;
+    updateTrail(p.trail, p.mesh.position);
+    recordFlightSample(p);
+  }
+}
+
+function exportFlightData(format) {
+  const logs = projectiles.filter((p) => p.flightLog).map((p) => p.flightLog);
+  if (logs.length === 0) {
+    alert("Launch a projectile first, then export its flight data.");
+    return;
+  }
+
+  let text;
+  let type;
+  if (format === "csv") {
+    const rows = ["projectile,t,x,y,z,vx,vy,vz"];
+    for (const log of logs) {
+      for (const s of log.samples) {
+        rows.push(
+          [log.id, s.t, s.x, s.y, s.z, s.vx, s.vy, s.vz]
+            .map((v) => (typeof v === "number" ? +v.toFixed(5) : v))
+            .join(",")
+        );
+      }
+    }
+    text = rows.join("\n");
+    type = "text/csv";
+  } else {
+    text = JSON.stringify(logs, null, 2);
+    type = "application/json";
+  }
+
+  downloadTextFile(`flight-data.${format}`, text, type);
+}
+
+function downloadTextFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+
+/**********************************************************************
+ * TOGGLE GLASS MODE (CONE)
+ **********************************************************************/
+function toggleGlassMode() {
+  if (!energyCone) return;
+
+  if (!coneIsGlass) {
+    // Switch to glass-like material
+    const glassMat = new THREE.MeshPhysicalMaterial
+      ? new THREE.MeshPhysicalMaterial({
+          color: 0xffffff,
+          metalness: 0,
+          roughness: 0.05,
+          transmission: 0.9,
+          transparent: true,
+          opacity: 0.9,
+          clearcoat: 1.0,
+          clearcoatRoughness: 0.1
+        })
+      : new THREE.MeshStandardMaterial({
+          color: 0xffffff,
+          metalness: 0,
+          roughness: 0.05,
+          transparent: true,
+          opacity: 0.5
+        });
+
+    energyCone.material = glassMat;
+    coneIsGlass = true;
+  } else {
+    // Restore original solid material
+    energyCone.material = coneOriginalMaterial;
+    coneIsGlass = false;
+  }
+}
+
+/**********************************************************************
+ * MATERIAL LAB – colour, PBR values, emission and texture maps
+ **********************************************************************/
+// The object's own material (the glass cone keeps it aside while glass)
+function getBaseMaterial(obj) {
+  return obj === energyCone && coneIsGlass ? coneOriginalMaterial : obj.material;
+}
+
+function setBaseMaterial(obj, material) {
+  // editing the cone turns glass mode off so the edit is visible
+  if (obj === energyCone) {
+    coneOriginalMaterial = material;
+    coneIsGlass = false;
+  }
+  obj.material = material;
+}
+
+function getMaterialSettings(obj) {
+  const material = getBaseMaterial(obj);
+  const lab = obj.userData.materialLab || {};
+  return {
+    color: material.color.getHex(),
+    metalness: material.metalness,
+    roughness: material.roughness,
+    transmission: lab.transmission || 0,
+    emissive: material.emissive.getHex(),
+    emissiveIntensity: material.emissiveIntensity,
+    map: lab.map || "none",
+    bumpMap: lab.bumpMap || "none"
+  };
+}
+
+function getLabTexture(key, usage) {
+  const cacheKey = `${key}:${usage}`;
+  if (!labTextureCache[cacheKey]) {
+    const tex = textureLoader.load(floorTextures[key].file);
+    // colour maps are sRGB; bump maps are read as plain heights
+    if (usage === "map") tex.encoding = THREE.sRGBEncoding;
+    labTextureCache[cacheKey] = tex;
+  }
+  return labTextureCache[cacheKey];
+}
+
+// three r117 has no transmission, so light through the surface is approximated with opacity
+function createLabMaterial(settings) {
+  const material = new THREE.MeshPhysicalMaterial({
+    color: settings.color,
+    metalness: settings.metalness,
+    roughness: settings.roughness,
+    emissive: settings.emissive,
+    emissiveIntensity: settings.emissiveIntensity,
+    transparent: settings.transmission > 0,
+    opacity: 1 - 0.9 * settings.transmission,
+    clearcoat: settings.transmission > 0 ? 1 : 0
+  });
+
+  if (floorTextures[settings.map]) material.map = getLabTexture(settings.map, "map");
+  if (floorTextures[settings.bumpMap]) {
+    material.bumpMap = getLabTexture(settings.bumpMap, "bump");
+    material.bumpScale = 0.05;
+  }
+  return material;
+}
+
+function applyMaterialSettings(obj, settings) {
+  // the first edit puts the object's own material aside for Reset Material
+  const current = getBaseMaterial(obj);
+  if (obj.userData.materialLab) current.dispose();
+  else obj.userData.originalMaterial = current;
+
+  setBaseMaterial(obj, createLabMaterial(settings));
+  obj.userData.materialLab = {
+    transmission: settings.transmission,
+    map: settings.map,
+    bumpMap: settings.bumpMap
+  };
+}
+
+function resetMaterial(obj) {
+  if (!obj.userData.materialLab) return;
+
+  getBaseMaterial(obj).dispose();
+  setBaseMaterial(obj, obj.userData.originalMaterial);
+  delete obj.userData.materialLab;
+  delete obj.userData.originalMaterial;
+}
+
+function getMaterialFormSettings() {
+  const read = (input, fallback, min, max) => {
+    const v = parseFloat(input.value);
+    return isNaN(v) ? fallback : Math.min(Math.max(v, min), max);
+  };
+
+  return {
+    color: new THREE.Color(materialColorInput.value).getHex(),
+    metalness: read(materialMetalnessInput, 0, 0, 1),
+    roughness: read(materialRoughnessInput, 0.5, 0, 1),
+    transmission: read(materialTransmissionInput, 0, 0, 1),
+    emissive: new THREE.Color(materialEmissiveInput.value).getHex(),
+    emissiveIntensity: read(materialEmissiveIntensityInput, 1, 0, 10),
+    map: materialMapSelect.value,
+    bumpMap: materialBumpSelect.value
+  };
+}
+
+function showMaterialSettings(obj) {
+  const settings = getMaterialSettings(obj);
+  materialColorInput.value = "#" + new THREE.Color(settings.color).getHexString();
+  materialMetalnessInput.value = String(+settings.metalness.toFixed(2));
+  materialRoughnessInput.value = String(+settings.roughness.toFixed(2));
+  materialTransmissionInput.value = String(settings.transmission);
+  materialEmissiveInput.value = "#" + new THREE.Color(settings.emissive).getHexString();
+  materialEmissiveIntensityInput.value = String(settings.emissiveIntensity);
+  materialMapSelect.value = settings.map;
+  materialBumpSelect.value = settings.bumpMap;
+}
+
+function onApplyMaterial() {
+  const objects = getSelectedObjects();
+  if (!objects.length) {
+    alert("Select one or more objects first.");
+    return;
+  }
+
+  const settings = getMaterialFormSettings();
+  objects.forEach((obj) => applyMaterialSettings(obj, settings));
+  materialInfoLabel.textContent = `Material applied to ${objects.length} object(s).`;
+}
+
+function onResetMaterial() {
+  const objects = getSelectedObjects();
+  objects.forEach(resetMaterial);
+  if (lastClickedObject) showMaterialSettings(lastClickedObject);
+  materialInfoLabel.textContent = `Reset ${objects.length} object(s) to their own material.`;
+}
+
+/**********************************************************************
+ * LIGHTING LAB – ambient, directional, point and spot lights
+ **********************************************************************/
+function addSceneLight(settings, id = nextLightId) {
+  nextLightId = Math.max(nextLightId, id + 1);
+
+  let light;
+  switch (settings.type) {
+    case "ambient":
+      light = new THREE.AmbientLight();
+      break;
+    case "directional":
+      light = new THREE.DirectionalLight();
+      light.shadow.mapSize.set(2048, 2048);
+      light.shadow.camera.near = 1;
+      light.shadow.camera.far = 50;
+      break;
+    case "point":
+      light = new THREE.PointLight();
+      light.shadow.mapSize.set(1024, 1024);
+      break;
+    case "spot":
+      light = new THREE.SpotLight();
+      light.angle = Math.PI / 6;
+      light.penumbra = 0.3;
+      light.shadow.mapSize.set(1024, 1024);
+      scene.add(light.target); // aims at the origin
+      break;
+  }
+  scene.add(light);
+
+  const entry = { id, type: settings.type, light, helper: null };
+  if (settings.type === "directional") entry.helper = new THREE.DirectionalLightHelper(light, 1);
+  if (settings.type === "point") entry.helper = new THREE.PointLightHelper(light, 0.3);
+  if (settings.type === "spot") entry.helper = new THREE.SpotLightHelper(light);
+  if (entry.helper) {
+    entry.helper.visible = showLightHelpers;
+    scene.add(entry.helper);
+  }
+
+  sceneLights.push(entry);
+  setLightSettings(entry, settings);
+  return entry;
+}
+
+function setLightSettings(entry, settings) {
+  const { light } = entry;
+  light.color.setHex(settings.color);
+  light.intensity = settings.intensity;
+  if (entry.type === "ambient") return;
+
+  light.position.fromArray(settings.position);
+  light.castShadow = !!settings.castShadow;
+  if (entry.helper) {
+    light.updateMatrixWorld();
+    entry.helper.update();
+  }
+}
+
+function getLightSettings(entry) {
+  const { light } = entry;
+  const settings = { type: entry.type, color: light.color.getHex(), intensity: light.intensity };
+  if (entry.type !== "ambient") {
+    settings.position = light.position.toArray();
+    settings.castShadow = light.castShadow;
+  }
+  return settings;
+}
+
+function removeSceneLight(entry) {
+  scene.remove(entry.light);
+  if (entry.type === "spot") scene.remove(entry.light.target);
+  if (entry.helper) {
+    scene.remove(entry.helper);
+    entry.helper.dispose();
+  }
+  sceneLights.splice(sceneLights.indexOf(entry), 1);
+}
+
+// Replaces every light (scene load)
+function setSceneLights(list) {
+  while (sceneLights.length) removeSceneLight(sceneLights[0]);
+  nextLightId = 1;
+  list.forEach((settings) => addSceneLight(settings));
+  refreshLightOptions();
+}
+
+function setExposure(value) {
+  renderer.toneMappingExposure = value;
+  exposureInput.value = String(value);
+}
+
+function getSelectedLight() {
+  return sceneLights.find((entry) => String(entry.id) === lightSelect.value) || null;
+}
+
+function refreshLightOptions(selectedId = lightSelect.value) {
+  lightSelect.innerHTML = "";
+  for (const entry of sceneLights) {
+    const opt = document.createElement("option");
+    opt.value = String(entry.id);
+    opt.textContent = `#${entry.id} ${lightTypes[entry.type].label}`;
+    lightSelect.appendChild(opt);
+  }
+  if (sceneLights.some((entry) => String(entry.id) === String(selectedId))) lightSelect.value = String(selectedId);
+  showSelectedLight();
+}
+
+function showSelectedLight() {
+  const entry = getSelectedLight();
+  if (!entry) {
+    lightInfoLabel.textContent = "No lights in the scene.";
+    return;
+  }
+
+  const settings = getLightSettings(entry);
+  const ambient = entry.type === "ambient";
+  lightColorInput.value = "#" + new THREE.Color(settings.color).getHexString();
+  lightIntensityInput.value = String(settings.intensity);
+  lightPositionInputs.forEach((input, i) => {
+    input.value = ambient ? "" : String(+settings.position[i].toFixed(2));
+    input.disabled = ambient;
+  });
+  lightShadowCheckbox.checked = !!settings.castShadow;
+  lightShadowCheckbox.disabled = ambient;
+  lightInfoLabel.textContent = ambient
+    ? "Ambient light reaches everything evenly (no position or shadows)."
+    : `${lightTypes[entry.type].label} light at (${settings.position.map((v) => v.toFixed(1)).join(", ")}).`;
+}
+
+function onAddLight() {
+  const type = lightTypeSelect.value;
+  const entry = addSceneLight({
+    type,
+    color: 0xffffff,
+    intensity: lightTypes[type].intensity,
+    position: [0, 6, 4],
+    castShadow: false
+  });
+  refreshLightOptions(entry.id);
+}
+
+function onRemoveLight() {
+  const entry = getSelectedLight();
+  if (!entry) return;
+
+  removeSceneLight(entry);
+  refreshLightOptions();
+}
+
+function onApplyLight() {
+  const entry = getSelectedLight();
+  if (!entry) return;
+
+  const current = getLightSettings(entry);
+  const intensity = parseFloat(lightIntensityInput.value);
+  setLightSettings(entry, {
+    ...current,
+    color: new THREE.Color(lightColorInput.value).getHex(),
+    intensity: isNaN(intensity) || intensity < 0 ? current.intensity : intensity,
+    position: current.position && lightPositionInputs.map((input, i) => {
+      const v = parseFloat(input.value);
+      return isNaN(v) ? current.position[i] : v;
+    }),
+    castShadow: lightShadowCheckbox.checked
+  });
+  showSelectedLight();
+}
+
+/**********************************************************************
+ * SPEED BUTTON
+ **********************************************************************/
+function onApplySpeedClick() {
+  if (!speedInput || !speedTargetSelect) return;
+
+  let val = parseFloat(speedInput.value);
+  if (isNaN(val) || val < 0) val = 0;
+
+  const target = speedTargetSelect.value; // sphere | torus | cube | all | selected
+
+  if (target === "selected") {
+    for (const obj of selectedObjects) {
+      const key = getAnimationKey(obj);
+      if (key) speedFactors[key] = val;
+    }
+    return;
+  }
+
+  if (target === "sphere" || target === "all") speedFactors.sphere = val;
+  if (target === "torus" || target === "all") speedFactors.torus = val;
+  if (target === "cube" || target === "all") speedFactors.cube = val;
+}
+
+/**********************************************************************
+ * SIMULATION SETTINGS
+ **********************************************************************/
+function onSimulationSettingsChange() {
+  let hz = parseFloat(stepRateSelect.value);
+  if (isNaN(hz) || hz <= 0) hz = 60;
+
+  let subSteps = parseInt(subStepsInput.value, 10);
+  if (isNaN(subSteps)) subSteps = 4;
+  subSteps = THREE.MathUtils.clamp(subSteps, 1, 16);
+  subStepsInput.value = String(subSteps);
+
+  physicsSettings.fixedDelta = 1 / hz;
+  physicsSettings.subSteps = subSteps;
+  physicsAccumulator = 0;
+}
+
+/**********************************************************************
+ * RESIZE
+ **********************************************************************/
+function onWindowResize() {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+/**********************************************************************
+ * OBJECT BUILDER – add, configure and delete primitives
+ **********************************************************************/
+function onPlaceBuiltObject() {
+  builderState.placing = true;
+  builderInfoLabel.textContent = `Click the floor to place the ${builderShapes[builderShapeSelect.value].toLowerCase()}.`;
+}
+
+function getBuilderSettings() {
+  const read = (input, fallback, min) => {
+    const v = parseFloat(input.value);
+    return isNaN(v) || v < min ? fallback : v;
+  };
+
+  return {
+    shape: builderShapeSelect.value,
+    material: builderMaterialSelect.value,
+    color: new THREE.Color(builderColorInput.value).getHex(),
+    size: read(builderSizeInput, 1, 0.05),
+    mass: read(builderMassInput, 1, 0.001),
+    restitution: Math.min(read(builderRestitutionInput, 0.4, 0), 1),
+    friction: read(builderFrictionInput, 0.5, 0)
+  };
+}
+
+function showBuilderSettings(obj) {
+  const { shape, material } = obj.userData.builder;
+  const physics = obj.userData.physics;
+  builderShapeSelect.value = shape;
+  builderMaterialSelect.value = material;
+  builderColorInput.value = "#" + obj.material.color.getHexString();
+  builderSizeInput.value = String(+obj.scale.x.toFixed(3));
+  builderMassInput.value = String(physics.mass);
+  builderRestitutionInput.value = String(physics.restitution);
+  builderFrictionInput.value = String(physics.friction);
+}
+
+// Unit-sized geometry for each shape; the size setting scales the mesh
+function createBuilderGeometry(shape) {
+  switch (shape) {
+    case "sphere":
+      return new THREE.SphereGeometry(0.5, 24, 16);
+    case "cylinder":
+      return new THREE.CylinderGeometry(0.5, 0.5, 1, 24);
+    case "cone":
+      return new THREE.ConeGeometry(0.5, 1, 24);
+    case "torus":
+      return new THREE.TorusGeometry(0.5, 0.2, 12, 32);
+    case "ramp":
+      // the incline wedge, 2 m long, 1 m high and 1 m wide, centred like the other shapes
+      return createInclineGeometry(Math.atan(0.5), 2, 1).translate(0, -0.5, 0);
+    default:
+      return new THREE.BoxGeometry(1, 1, 1);
+  }
+}
+
+function createBuilderMaterial(type, color) {
+  const def = builderMaterials[type] || builderMaterials.matte;
+  if (type === "glass") {
+    return new THREE.MeshPhysicalMaterial({
+      color,
+      roughness: def.roughness,
+      metalness: def.metalness,
+      transparent: true,
+      opacity: def.opacity,
+      clearcoat: 1.0,
+      clearcoatRoughness: 0.1
+    });
+  }
+  return new THREE.MeshStandardMaterial({ color, roughness: def.roughness, metalness: def.metalness });
+}
+
+function addBuiltObject(settings, floorPoint, id = nextBuiltId) {
+  nextBuiltId = Math.max(nextBuiltId, id + 1);
+
+  const mesh = new THREE.Mesh(
+    createBuilderGeometry(settings.shape),
+    createBuilderMaterial(settings.material, settings.color)
+  );
+  mesh.scale.setScalar(settings.size);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+
+  // rest the new object on the floor at the clicked point
+  mesh.position.copy(floorPoint);
+  mesh.updateMatrixWorld();
+  mesh.position.y -= new THREE.Box3().setFromObject(mesh).min.y;
+
+  mesh.userData.builder = { id, shape: settings.shape, material: settings.material };
+  mesh.userData.physics = {
+    mass: settings.mass,
+    restitution: settings.restitution,
+    friction: settings.friction
+  };
+
+  scene.add(mesh);
+  addCollisionBox(mesh);
+  clickableObjects.push(mesh);
+  builtObjects.push(mesh);
+
+  builderInfoLabel.textContent = `Added ${getObjectLabel(mesh)}.`;
+  return mesh;
+}
+
+function onApplyBuilderSettings() {
+  const obj = lastClickedObject;
+  if (!obj || !obj.userData.builder) {
+    alert("Select an object you built first.");
+    return;
+  }
+  if (getSceneBody(obj)) {
+    alert("This object is being simulated; wait until it settles or remove its joints first.");
+    return;
+  }
+
+  const settings = getBuilderSettings();
+  const builder = obj.userData.builder;
+
+  // rescale about the base so the object stays on whatever it stood on
+  obj.updateMatrixWorld();
+  const baseY = new THREE.Box3().setFromObject(obj).min.y;
+
+  if (settings.shape !== builder.shape) {
+    obj.geometry.dispose();
+    obj.geometry = createBuilderGeometry(settings.shape);
+    builder.shape = settings.shape;
+  }
+  if (settings.material !== builder.material) {
+    resetMaterial(obj);
+    obj.material.dispose();
+    obj.material = createBuilderMaterial(settings.material, settings.color);
+    builder.material = settings.material;
+  }
+  obj.material.color.setHex(settings.color);
+
+  obj.scale.setScalar(settings.size);
+  obj.updateMatrixWorld();
+  obj.position.y += baseY - new THREE.Box3().setFromObject(obj).min.y;
+
+  obj.userData.physics = {
+    mass: settings.mass,
+    restitution: settings.restitution,
+    friction: settings.friction
+  };
+  updateCollider(obj);
+
+  updateSelectionLabel();
+  builderInfoLabel.textContent = `Updated ${getObjectLabel(obj)}.`;
+}
+
+function onDeleteBuiltObject() {
+  const obj = lastClickedObject;
+  if (!obj || !obj.userData.builder) {
+    alert("Select an object you built first (the original five can't be deleted).");
+    return;
+  }
+
+  removeBuiltObject(obj);
+}
+
+function removeBuiltObject(obj) {
+  // drop anything that simulates the object
+  const body = jointBodies.get(obj);
+  if (body) {
+    for (const joint of joints.filter((j) => j.a.body === body || j.b.body === body)) {
+      removeJoint(joint);
+    }
+  }
+  gravityBodies.delete(obj);
+  deselectObject(obj);
+
+  scene.remove(obj);
+  resetMaterial(obj);
+  obj.geometry.dispose();
+  obj.material.dispose();
+  clickableObjects.splice(clickableObjects.indexOf(obj), 1);
+  builtObjects.splice(builtObjects.indexOf(obj), 1);
+  builderInfoLabel.textContent = `Deleted ${getObjectLabel(obj)}.`;
+}
+
+
+/**********************************************************************
+ * FLUID TANKS – buoyancy and viscous drag from the submerged volume
+ **********************************************************************/
+function getTankSettings() {
+  const read = (input, fallback, min, max) => {
+    const v = parseFloat(input.value);
+    return isNaN(v) ? fallback : Math.min(Math.max(v, min), max);
+  };
+
+  return {
+    preset: fluidPresetSelect.value,
+    width: read(tankWidthInput, 4, 1, 20),
+    length: read(tankLengthInput, 4, 1, 20),
+    depth: read(tankDepthInput, 2, 0.25, 10)
+  };
+}
+
+function addFluidTank(settings, floorPoint, id = nextTankId) {
+  nextTankId = Math.max(nextTankId, id + 1);
+
+  const { width, length, depth } = settings;
+  const fluid = fluidPresets[settings.preset] || fluidPresets.water;
+
+  const group = new THREE.Group();
+  group.position.set(floorPoint.x, 0, floorPoint.z);
+
+  // the liquid: see-through, and it must not hide what floats in it
+  const liquid = new THREE.Mesh(
+    new THREE.BoxBufferGeometry(width, depth, length),
+    new THREE.MeshStandardMaterial({
+      color: fluid.color,
+      transparent: true,
+      opacity: 0.35,
+      roughness: 0.1,
+      metalness: settings.preset === "mercury" ? 0.8 : 0,
+      depthWrite: false
+    })
+  );
+  liquid.position.y = depth / 2;
+
+  const glass = new THREE.LineSegments(
+    new THREE.EdgesGeometry(new THREE.BoxBufferGeometry(width, depth + tankRimHeight, length)),
+    new THREE.LineBasicMaterial({ color: 0xdee2e6 })
+  );
+  glass.position.y = (depth + tankRimHeight) / 2;
+
+  group.add(liquid);
+  group.add(glass);
+  scene.add(group);
+
+  const tank = {
+    id,
+    preset: settings.preset,
+    width,
+    length,
+    depth,
+    group,
+    box: new THREE.Box3(
+      new THREE.Vector3(floorPoint.x - width / 2, 0, floorPoint.z - length / 2),
+      new THREE.Vector3(floorPoint.x + width / 2, depth, floorPoint.z + length / 2)
+    )
+  };
+  fluidTanks.push(tank);
+
+  // bodies resting where the fluid now is start to float
+  for (const body of getSimulatedBodies()) wakeBody(body);
+
+  if (fluidInfoLabel) {
+    fluidInfoLabel.textContent = `Tank #${id}: ${fluid.label}, ${width} × ${length} m, ${depth} m deep.`;
+  }
+  return tank;
+}
+
+function clearFluidTanks() {
+  for (const tank of fluidTanks) {
+    scene.remove(tank.group);
+    tank.group.children.forEach((child) => {
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+  }
+  fluidTanks.length = 0;
+  fluidState.placing = false;
+  for (const body of getSimulatedBodies()) wakeBody(body);
+}
+
+// Only bodies whose centre is over the tank are in it
+function isOverTank(position, tank) {
+  const box = tank.box;
+  return position.x >= box.min.x && position.x <= box.max.x && position.z >= box.min.z && position.z <= box.max.z;
+}
+
+function getSubmergedVolume(body, tank) {
+  const p = body.mesh.position;
+  if (!isOverTank(p, tank)) return 0;
+
+  const surface = tank.box.max.y;
+  if (body.shape.type === "sphere") {
+    // spherical cap below the surface: V = π h² (3r − h) / 3
+    const r = body.shape.radius;
+    const h = THREE.MathUtils.clamp(surface - (p.y - r), 0, 2 * r);
+    return (Math.PI * h * h * (3 * r - h)) / 3;
+  }
+
+  // other shapes: the submerged share of their height
+  const bounds = new THREE.Box3().setFromObject(body.mesh);
+  const height = Math.max(bounds.max.y - bounds.min.y, 1e-6);
+  return getShapeVolume(body.shape) * THREE.MathUtils.clamp((surface - bounds.min.y) / height, 0, 1);
+}
+
+function applyFluidForces(body, delta) {
+  const gravity = getGravityVector(tmpBuoyancy);
+
+  for (const tank of fluidTanks) {
+    const submerged = getSubmergedVolume(body, tank);
+    if (submerged <= 0) continue;
+
+    const fluid = fluidPresets[tank.preset];
+    body.velocity.addScaledVector(gravity, ((-fluid.density * submerged) / body.mass) * delta);
+
+    // viscous drag as exact decay, so a thick fluid can't reverse the motion
+    const decay = Math.exp(((-fluid.viscousDrag * submerged) / body.mass) * delta);
+    body.velocity.multiplyScalar(decay);
+    body.angularVelocity.multiplyScalar(decay);
+  }
+}
+
+// The glass walls keep a body that is inside a tank (centre over it, below the rim) in it
+function containInTanks(body) {
+  const p = body.mesh.position;
+  const r = body.radius;
+  // which side of the glass the body is on comes from where its centre was last step
+  const last = body.lastTankCheck || p.clone();
+
+  for (const tank of fluidTanks) {
+    if (!isOverTank(last, tank)) {
+      keepOutOfTank(body, tank, last);
+      continue;
+    }
+
+    const box = tank.box;
+    if (p.y - r > box.max.y + tankRimHeight || !isOverTank(p, tank)) continue;
+
+    for (const axis of ["x", "z"]) {
+      const min = box.min[axis] + r;
+      const max = box.max[axis] - r;
+      if (min > max) {
+        p[axis] = (box.min[axis] + box.max[axis]) / 2;
+      } else if (p[axis] < min) {
+        p[axis] = min;
+        if (body.velocity[axis] < 0) body.velocity[axis] *= -body.restitution;
+      } else if (p[axis] > max) {
+        p[axis] = max;
+        if (body.velocity[axis] > 0) body.velocity[axis] *= -body.restitution;
+      }
+    }
+  }
+  body.lastTankCheck = last.copy(p);
+}
+
+// From outside, the glass walls (up to the rim) are a solid box the body bounces off
+function keepOutOfTank(body, tank, last) {
+  const p = body.mesh.position;
+  const r = body.radius;
+  const box = tank.box;
+  const rim = box.max.y + tankRimHeight;
+  if (p.y - r > rim) return;
+
+  // a centre that went through the glass in one step goes back to the side it came from
+  if (isOverTank(p, tank) && p.y <= rim) {
+    for (const axis of ["x", "z"]) {
+      if (last[axis] < box.min[axis]) p[axis] = box.min[axis];
+      else if (last[axis] > box.max[axis]) p[axis] = box.max[axis];
+    }
+  }
+
+  const closest = new THREE.Vector3(
+    THREE.MathUtils.clamp(p.x, box.min.x, box.max.x),
+    THREE.MathUtils.clamp(p.y, box.min.y, rim),
+    THREE.MathUtils.clamp(p.z, box.min.z, box.max.z)
+  );
+  const normal = p.clone().sub(closest);
+  const dist = normal.length();
+  if (dist >= r) return;
+
+  if (dist < 1e-9) {
+    // centre exactly on the glass: out through the wall it came from
+    normal.set(Math.sign(last.x - p.x), 0, Math.sign(last.z - p.z));
+    if (normal.lengthSq() === 0) normal.set(0, 1, 0);
+    normal.normalize();
+  } else {
+    normal.divideScalar(dist);
+  }
+  p.copy(closest).addScaledVector(normal, r);
+
+  const vn = body.velocity.dot(normal);
+  if (vn < 0) body.velocity.addScaledVector(normal, -(1 + body.restitution) * vn);
+}
+
+/**********************************************************************
+ * INCLINED PLANES – friction slopes, sliding blocks and force diagrams
+ **********************************************************************/
+function getInclineSettings() {
+  const read = (input, fallback, min, max) => {
+    const v = parseFloat(input.value);
+    return isNaN(v) ? fallback : Math.min(Math.max(v, min), max);
+  };
+
+  const staticFriction = read(staticFrictionInput, 0.5, 0, 5);
+  return {
+    angle: THREE.MathUtils.degToRad(read(inclineAngleInput, 30, 1, 75)),
+    length: read(inclineLengthInput, 4, 1, 20),
+    staticFriction,
+    // kinetic friction can't exceed static friction
+    kineticFriction: Math.min(read(kineticFrictionInput, 0.3, 0, 5), staticFriction)
+  };
+}
+
+// Wedge rising towards -x: base on y=0, slope face from (-L/2, H) down to (L/2, 0)
+function createInclineGeometry(angle, length, width = inclineWidth) {
+  const height = length * Math.tan(angle);
+  const profile = new THREE.Shape();
+  profile.moveTo(-length / 2, 0);
+  profile.lineTo(length / 2, 0);
+  profile.lineTo(-length / 2, height);
+  profile.lineTo(-length / 2, 0);
+
+  const geo = new THREE.ExtrudeGeometry(profile, { depth: width, bevelEnabled: false });
+  geo.translate(0, 0, -width / 2);
+  return geo;
+}
+
+function addIncline(settings, floorPoint, id = nextInclineId) {
+  nextInclineId = Math.max(nextInclineId, id + 1);
+
+  const mesh = new THREE.Mesh(
+    createInclineGeometry(settings.angle, settings.length),
+    new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.8 })
+  );
+  mesh.position.set(floorPoint.x, 0, floorPoint.z);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+
+  const incline = { id, mesh, ...settings };
+  mesh.userData.incline = incline;
+
+  scene.add(mesh);
+  addCollisionBox(mesh);
+  clickableObjects.push(mesh);
+  inclines.push(incline);
+  return incline;
+}
+
+// The incline the buttons act on: the selected one, else the newest
+function getTargetIncline() {
+  if (lastClickedObject && lastClickedObject.userData.incline) return lastClickedObject.userData.incline;
+  return inclines[inclines.length - 1] || null;
+}
+
+function onUpdateIncline() {
+  const incline = getTargetIncline();
+  if (!incline) {
+    alert("Place an incline first.");
+    return;
+  }
+
+  Object.assign(incline, getInclineSettings());
+  incline.mesh.geometry.dispose();
+  incline.mesh.geometry = createInclineGeometry(incline.angle, incline.length);
+  updateCollider(incline.mesh);
+
+  // blocks resting on it have to react to the new slope
+  for (const block of slidingBlocks) wakeBody(block);
+}
+
+function onDropBlock() {
+  const incline = getTargetIncline();
+  if (!incline) {
+    alert("Place an incline first.");
+    return;
+  }
+
+  const surface = getInclineSurface(incline);
+
+  // near the top of the slope, sitting on it and tilted with it
+  const mesh = createBlockMesh();
+  mesh.position
+    .copy(surface.center)
+    .addScaledVector(surface.downhill, -surface.halfLength * 0.6)
+    .addScaledVector(surface.normal, blockSize / 2);
+  mesh.quaternion
+    .copy(incline.mesh.quaternion)
+    .multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 0, 1), -surface.angle));
+
+  addSlidingBlock(mesh);
+}
+
+function createBlockMesh() {
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(blockSize, blockSize, blockSize),
+    new THREE.MeshStandardMaterial({ color: 0x4dabf7, roughness: 0.6 })
+  );
+  mesh.castShadow = true;
+  scene.add(mesh);
+  return mesh;
+}
+
+function addSlidingBlock(mesh) {
+  // no air damping, so the measured slide matches the textbook acceleration
+  const body = createRigidBody(mesh, { mass: 1, restitution: 0.1, friction: 0.5, linearDamping: 0 });
+  body.forceArrows = {};
+  for (const [key, color] of Object.entries(forceColors)) {
+    body.forceArrows[key] = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), mesh.position, 1, color, 0.15, 0.08);
+    body.forceArrows[key].visible = false;
+    scene.add(body.forceArrows[key]);
+  }
+  slidingBlocks.push(body);
+  return body;
+}
+
+function clearInclines() {
+  for (const body of slidingBlocks) {
+    scene.remove(body.mesh);
+    body.mesh.geometry.dispose();
+    Object.values(body.forceArrows).forEach((arrow) => scene.remove(arrow));
+  }
+  slidingBlocks.length = 0;
+
+  [...inclines].forEach(removeIncline);
+  inclineState.placing = false;
+}
+
+// Blocks resting on it are left to fall to the floor
+function removeIncline(incline) {
+  gravityBodies.delete(incline.mesh);
+  deselectObject(incline.mesh);
+
+  scene.remove(incline.mesh);
+  resetMaterial(incline.mesh);
+  incline.mesh.geometry.dispose();
+  clickableObjects.splice(clickableObjects.indexOf(incline.mesh), 1);
+  inclines.splice(inclines.indexOf(incline), 1);
+  for (const block of slidingBlocks) wakeBody(block);
+}
+
+// Slope face in world space (follows the gizmo / WASD)
+function getInclineSurface(incline) {
+  const mesh = incline.mesh;
+  const height = incline.length * Math.tan(incline.angle);
+  mesh.updateMatrixWorld();
+
+  const top = mesh.localToWorld(new THREE.Vector3(-incline.length / 2, height, 0));
+  const bottom = mesh.localToWorld(new THREE.Vector3(incline.length / 2, 0, 0));
+  const side = mesh.localToWorld(new THREE.Vector3(0, height / 2, inclineWidth / 2));
+
+  const center = top.clone().add(bottom).multiplyScalar(0.5);
+  const downhill = bottom.sub(top);
+  const halfLength = downhill.length() / 2;
+  downhill.normalize();
+  const across = side.sub(center);
+  const halfWidth = across.length();
+  across.normalize();
+  const normal = new THREE.Vector3().crossVectors(across, downhill).normalize();
+
+  return {
+    center,
+    normal,
+    downhill,
+    across,
+    halfLength,
+    halfWidth,
+    angle: Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1))
+  };
+}
+
+function isOnSurface(surface, point, margin) {
+  const offset = point.clone().sub(surface.center);
+  return (
+    Math.abs(offset.dot(surface.downhill)) <= surface.halfLength + margin &&
+    Math.abs(offset.dot(surface.across)) <= surface.halfWidth + margin
+  );
+}
+
+// Contacts against one incline. The wedge is solid (its convex hull): `slope` is the
+// patch on the slope face, like getFloorContacts but for a tilted plane, and `solid`
+// holds the contacts with its other faces, each { point, normal, depth }
+function getInclineContacts(body, incline, surface) {
+  const contacts = { slope: [], solid: [] };
+  const hull = incline.mesh.userData.collisionShape;
+  const isSlope = (normal) => normal.dot(surface.normal) > 1 - 1e-3;
+
+  if (!body.contactPoints) {
+    const contact = getSphereHullContact(body, hull);
+    if (contact && isSlope(contact.normal)) contacts.slope.push(contact);
+    else if (contact) contacts.solid.push(contact);
+    return contacts;
+  }
+
+  const world = body.contactPoints.map((local) =>
+    local.clone().applyQuaternion(body.mesh.quaternion).add(body.mesh.position)
+  );
+
+  // a box also catches the crossings no corner shows: an edge of the box through
+  // the wedge (say lying across the slope) or an edge of the wedge through the box
+  if (body.shape.type === "box") {
+    const box = getBodyObb(body);
+    const corners = getObbCorners(box);
+    corners.forEach((a, i) => {
+      corners.forEach((b, j) => {
+        if (j <= i || ![1, 2, 4].includes(i ^ j)) return; // corners differing along one axis
+        const mid = getClippedMidpoint(a, b, hull.planes);
+        if (mid) world.push(mid);
+      });
+    });
+
+    const boxPlanes = getObbPlanes(box);
+    for (const [i, j] of hull.edges) {
+      const mid = getClippedMidpoint(hull.points[i], hull.points[j], boxPlanes);
+      const contact = mid && getPointObbContact(mid, box);
+      if (!contact) continue;
+      // an edge of the slope under a box lying on it: the box's face above it joins the slope patch
+      if (isSlope(contact.normal)) world.push(mid.addScaledVector(contact.normal, -contact.depth));
+      else contacts.solid.push(contact);
+    }
+  }
+
+  // a point inside the wedge belongs to the face it is least deep behind
+  const slopePoints = [];
+  for (const p of world) {
+    const distances = hull.planes.map((plane) => plane.distanceToPoint(p));
+    const outside = Math.max(...distances);
+    const plane = hull.planes[distances.indexOf(outside)];
+
+    if (outside < 0 && !isSlope(plane.normal)) {
+      contacts.solid.push({ point: p.clone().addScaledVector(plane.normal, -outside), normal: plane.normal, depth: -outside });
+    } else if (isOnSurface(surface, p, 0.02)) {
+      slopePoints.push(p);
+    }
+  }
+
+  const distance = (p) => p.clone().sub(surface.center).dot(surface.normal);
+  const depths = slopePoints.map(distance);
+  const lowest = Math.min(...depths);
+  if (lowest >= 0) return contacts;
+
+  slopePoints.forEach((p, i) => {
+    if (depths[i] < lowest + contactSlop) {
+      contacts.slope.push({ depth: Math.max(0, -depths[i]), point: p.addScaledVector(surface.normal, -depths[i]) });
+    }
+  });
+  return contacts;
+}
+
+// Oriented box of a box-shaped body, posed like the mesh
+function getBodyObb(body) {
+  const q = body.mesh.quaternion;
+  return {
+    center: body.mesh.position.clone(),
+    axes: [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)].map((axis) =>
+      axis.applyQuaternion(q)
+    ),
+    half: body.shape.size.clone().multiplyScalar(0.5)
+  };
+}
+
+// The six face planes of an oriented box, normals pointing out
+function getObbPlanes(obb) {
+  const planes = [];
+  obb.axes.forEach((axis, i) => {
+    for (const sign of [1, -1]) {
+      const normal = axis.clone().multiplyScalar(sign);
+      const point = obb.center.clone().addScaledVector(normal, obb.half.getComponent(i));
+      planes.push(new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point));
+    }
+  });
+  return planes;
+}
+
+// Middle of the part of segment ab inside a convex solid given by its face planes, or null
+function getClippedMidpoint(a, b, planes) {
+  const dir = b.clone().sub(a);
+  let t0 = 0;
+  let t1 = 1;
+  for (const plane of planes) {
+    const da = plane.distanceToPoint(a);
+    const rate = plane.normal.dot(dir);
+    if (Math.abs(rate) < 1e-12) {
+      if (da > 0) return null; // parallel and outside
+      continue;
+    }
+    const t = -da / rate;
+    if (rate < 0) t0 = Math.max(t0, t); // entering
+    else t1 = Math.min(t1, t); // leaving
+    if (t1 - t0 < 1e-9) return null;
+  }
+  return a.clone().addScaledVector(dir, (t0 + t1) / 2);
+}
+
+// A point inside an oriented box leaves through the nearest face; the normal pushes
+// the box away from the point
+function getPointObbContact(point, obb) {
+  const d = point.clone().sub(obb.center);
+  let face = -1;
+  let gap = Infinity;
+  let sign = 1;
+  obb.axes.forEach((axis, i) => {
+    const local = d.dot(axis);
+    const g = obb.half.getComponent(i) - Math.abs(local);
+    if (g < gap) {
+      gap = g;
+      face = i;
+      sign = local >= 0 ? 1 : -1;
+    }
+  });
+  if (gap <= 0) return null;
+  return { point: point.clone(), normal: obb.axes[face].clone().multiplyScalar(-sign), depth: gap };
+}
+
+function resolveInclineContacts(body, delta) {
+  body.inclineContact = null;
+  let touching = false;
+
+  for (const incline of inclines) {
+    if (incline.mesh === body.mesh) continue;
+
+    const surface = getInclineSurface(incline);
+    const { slope: contacts, solid } = getInclineContacts(body, incline, surface);
+    if (solid.length > 0) {
+      resolveWallContacts(body, solid);
+      touching = true;
+    }
+    if (contacts.length === 0) continue;
+
+    const centroid = new THREE.Vector3();
+    let maxDepth = 0;
+    for (const c of contacts) {
+      centroid.add(c.point);
+      maxDepth = Math.max(maxDepth, c.depth);
+    }
+    centroid.divideScalar(contacts.length);
+
+    if (contacts.length >= 3) {
+      resolveFaceContact(body, surface.normal, incline.kineticFriction, incline.staticFriction);
+    } else {
+      for (let iter = 0; iter < contactIterations; iter++) {
+        resolveContact(
+          body,
+          null,
+          centroid,
+          surface.normal,
+          body.restitution,
+          incline.kineticFriction,
+          incline.staticFriction
+        );
+      }
+    }
+    body.mesh.position.addScaledVector(surface.normal, maxDepth);
+    body.angularVelocity.multiplyScalar(Math.max(0, 1 - body.rollingResistance * delta));
+
+    body.inclineContact = { incline, surface };
+    touching = true;
+  }
+  return touching;
+}
+
+// The wedge's other faces are plain walls with the body's own friction; the
+// contacts on each face are solved at their centroid, like the floor patch
+function resolveWallContacts(body, contacts) {
+  const faces = [];
+  for (const c of contacts) {
+    const face = faces.find((f) => f.normal.dot(c.normal) > 1 - 1e-3);
+    if (face) face.contacts.push(c);
+    else faces.push({ normal: c.normal, contacts: [c] });
+  }
+
+  for (const { normal, contacts: patch } of faces) {
+    const centroid = new THREE.Vector3();
+    let maxDepth = 0;
+    for (const c of patch) {
+      centroid.add(c.point);
+      maxDepth = Math.max(maxDepth, c.depth);
+    }
+    centroid.divideScalar(patch.length);
+
+    for (let iter = 0; iter < contactIterations; iter++) {
+      resolveContact(body, null, centroid, normal, body.restitution, body.friction);
+    }
+    body.mesh.position.addScaledVector(normal, maxDepth);
+  }
+}
+
+// A face lying flat on the slope: the normal force shifts under the body so it
+// doesn't tip, which means friction acts through the centre of mass (no torque)
+function resolveFaceContact(body, normal, friction, staticFriction) {
+  const vn = body.velocity.dot(normal);
+  if (vn >= 0) return;
+
+  const e = vn < -restingSpeed ? body.restitution : 0;
+  const jn = -(1 + e) * vn * body.mass;
+  body.velocity.addScaledVector(normal, -(1 + e) * vn);
+
+  // no tipping about the face; spin about the normal is left to friction
+  body.angularVelocity.projectOnVector(normal);
+
+  const tangent = body.velocity.clone().addScaledVector(normal, -body.velocity.dot(normal));
+  const vt = tangent.length();
+  if (vt < 1e-6) return;
+
+  const stop = vt * body.mass; // impulse that would stop the slip
+  const jt = stop <= staticFriction * jn ? stop : friction * jn;
+  body.velocity.addScaledVector(tangent, -jt / stop);
+}
+
+// Free-body diagram of the friction model: W = m·g, N = −m·(g·n)·n,
+// f = −m·g_t while it holds (|g_t| ≤ μs·N/m), else μk·N against the sliding direction
+function getContactForces(body) {
+  const { incline, surface } = body.inclineContact;
+  const gravity = getGravityVector(new THREE.Vector3()).multiplyScalar(body.mass);
+  const n = surface.normal;
+
+  const normalMag = Math.max(0, -gravity.dot(n));
+  const normal = n.clone().multiplyScalar(normalMag);
+
+  const along = gravity.clone().addScaledVector(n, -gravity.dot(n)); // pull along the slope
+  const slip = body.velocity.clone().addScaledVector(n, -body.velocity.dot(n));
+  const sliding = slip.length() > sleepLinearSpeed || along.length() > incline.staticFriction * normalMag;
+
+  let friction;
+  if (!sliding) {
+    friction = along.clone().negate();
+  } else {
+    const dir = slip.lengthSq() > 1e-8 ? slip.normalize() : along.clone().normalize();
+    friction = dir.multiplyScalar(-incline.kineticFriction * normalMag);
+  }
+
+  return { gravity, normal, friction, sliding };
+}
+
+function updateForceDiagrams() {
+  const show = forceDiagramCheckbox && forceDiagramCheckbox.checked;
+  let latest = null;
+
+  for (const body of slidingBlocks) {
+    const arrows = body.forceArrows;
+    const visible = show && !!body.inclineContact;
+    Object.values(arrows).forEach((arrow) => (arrow.visible = visible));
+    if (body.inclineContact) latest = body;
+    if (!visible) continue;
+
+    // arrow length: 1 m per m·|g| (the weight)
+    const forces = getContactForces(body);
+    const unit = Math.max(forces.gravity.length(), 1e-6);
+    for (const key of Object.keys(forceColors)) {
+      const f = forces[key];
+      const len = f.length() / unit;
+      arrows[key].position.copy(body.mesh.position);
+      arrows[key].visible = len > 0.01;
+      if (len > 0.01) {
+        arrows[key].setDirection(f.clone().normalize());
+        arrows[key].setLength(len, Math.min(0.15, len * 0.4), 0.08);
+      }
+    }
+  }
+
+  updateInclineReadout(latest);
+}
+
+function updateInclineReadout(block) {
+  const incline = block ? block.inclineContact.incline : getTargetIncline();
+  if (!incline || !inclineInfoLabel || inclineState.placing) return;
+
+  const surface = block ? block.inclineContact.surface : getInclineSurface(incline);
+  const g = getGravityVector(new THREE.Vector3()).length();
+  const sin = Math.sin(surface.angle);
+  const cos = Math.cos(surface.angle);
+  const holds = Math.tan(surface.angle) <= incline.staticFriction;
+  const predicted = Math.max(0, g * (sin - incline.kineticFriction * cos));
+
+  let text =
+    `θ: ${THREE.MathUtils.radToDeg(surface.angle).toFixed(1)}° | tan θ: ${Math.tan(surface.angle).toFixed(3)} | μs: ${incline.staticFriction} | μk: ${incline.kineticFriction}\n` +
+    (holds
+      ? "tan θ ≤ μs → a block at rest stays put"
+      : `tan θ > μs → slides, a = g(sin θ − μk cos θ) = ${predicted.toFixed(2)} m/s²`);
+
+  if (block) {
+    const forces = getContactForces(block);
+    const speed = block.velocity.dot(surface.downhill);
+    text +=
+      `\nBlock: ${forces.sliding ? "sliding" : "holding"} | v: ${speed.toFixed(2)} m/s | ` +
+      `N: ${forces.normal.length().toFixed(2)} N | f: ${forces.friction.length().toFixed(2)} N`;
+  }
+  inclineInfoLabel.textContent = text;
+}
+
+
+/**********************************************************************
+ * MOTION VECTOR OVERLAY – v, a and F = m·a arrows with a hover tooltip
+ **********************************************************************/
+const tmpVectorDir = new THREE.Vector3();
+
+function createVectorOverlay() {
+  vectorOverlayGroup = new THREE.Group();
+  vectorOverlayGroup.visible = false;
+  scene.add(vectorOverlayGroup);
+
+  vectorTooltip = document.createElement("div");
+  vectorTooltip.style.position = "absolute";
+  vectorTooltip.style.display = "none";
+  vectorTooltip.style.pointerEvents = "none";
+  vectorTooltip.style.padding = "6px 8px";
+  vectorTooltip.style.background = "rgba(0, 0, 0, 0.8)";
+  vectorTooltip.style.color = "#f5f5f5";
+  vectorTooltip.style.fontFamily = "monospace";
+  vectorTooltip.style.fontSize = "11px";
+  vectorTooltip.style.whiteSpace = "pre";
+  vectorTooltip.style.borderRadius = "4px";
+  vectorTooltip.style.zIndex = "20";
+  document.body.appendChild(vectorTooltip);
+}
+
+// Arrow sets are pooled and handed out in body order every frame
+function getVectorArrows(index) {
+  while (vectorArrowPool.length <= index) {
+    const arrows = {};
+    for (const [key, color] of Object.entries(vectorColors)) {
+      arrows[key] = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, color);
+      vectorOverlayGroup.add(arrows[key]);
+    }
+    vectorArrowPool.push(arrows);
+  }
+  return vectorArrowPool[index];
+}
+
+function getBodyVectors(body) {
+  return {
+    velocity: body.velocity,
+    acceleration: body.measuredAcceleration,
+    force: body.measuredAcceleration.clone().multiplyScalar(body.mass)
+  };
+}
+
+// Forces are drawn on a log scale: a 1 kg block and a 270 kg sphere both stay readable
+function getVectorLength(key, magnitude) {
+  const length =
+    key === "force"
+      ? Math.log10(1 + magnitude) * vectorScales.force
+      : magnitude * vectorScales[key];
+  return Math.min(length, maxVectorLength);
+}
+
+function setVectorArrow(arrow, origin, vec, length) {
+  arrow.visible = length > 0.02;
+  if (!arrow.visible) return;
+
+  arrow.position.copy(origin);
+  arrow.setDirection(tmpVectorDir.copy(vec).normalize());
+  arrow.setLength(length, Math.min(0.25, length * 0.3), Math.min(0.12, length * 0.15));
+}
+
+function getBodyLabel(body) {
+  if (body.flightLog) return `Projectile #${body.flightLog.id}`;
+  if (dynamicBodies.includes(body)) return "Falling sphere";
+  if (slidingBlocks.includes(body)) return "Block";
+  return getObjectLabel(body.mesh);
+}
+
+function updateVectorOverlay() {
+  vectorOverlayGroup.visible = vectorOverlay.enabled;
+  if (!vectorOverlay.enabled) {
+    vectorTooltip.style.display = "none";
+    return;
+  }
+
+  // sleeping bodies have nothing to show
+  const bodies = getSimulatedBodies().filter((body) => body.active);
+  bodies.forEach((body, i) => {
+    const arrows = getVectorArrows(i);
+    const vectors = getBodyVectors(body);
+    for (const key of Object.keys(vectorColors)) {
+      const vec = vectors[key];
+      setVectorArrow(arrows[key], body.mesh.position, vec, getVectorLength(key, vec.length()));
+    }
+  });
+  for (let i = bodies.length; i < vectorArrowPool.length; i++) {
+    Object.values(vectorArrowPool[i]).forEach((arrow) => (arrow.visible = false));
+  }
+
+  updateVectorTooltip(bodies);
+}
+
+function updateVectorTooltip(bodies) {
+  const pointer = vectorOverlay.pointer;
+  let body = null;
+  if (pointer && !isDragging && !gizmoState.drag) {
+    setRayFromEvent(pointer);
+    const hit = raycaster.intersectObjects(bodies.map((b) => b.mesh), false)[0];
+    if (hit) body = bodies.find((b) => b.mesh === hit.object);
+  }
+
+  if (!body) {
+    vectorTooltip.style.display = "none";
+    return;
+  }
+
+  const vectors = getBodyVectors(body);
+  const f = (v) => v.toFixed(2).padStart(8);
+  const row = (name, vec, unit) =>
+    `${name} ${f(vec.length())} ${unit.padEnd(4)} (${f(vec.x)} ${f(vec.y)} ${f(vec.z)})`;
+
+  vectorTooltip.textContent =
+    `${getBodyLabel(body)} – m = ${body.mass.toFixed(2)} kg\n` +
+    `${row("|v|", vectors.velocity, "m/s")}\n` +
+    `${row("|a|", vectors.acceleration, "m/s²")}\n` +
+    `${row("|F|", vectors.force, "N")}`;
+  vectorTooltip.style.left = `${pointer.clientX + 14}px`;
+  vectorTooltip.style.top = `${pointer.clientY + 14}px`;
+  vectorTooltip.style.display = "block";
+}
+
+
+/**********************************************************************
+ * TIMELINE – recorded steps for pause, slow motion, rewind and replay
+ **********************************************************************/
+function createTimelineBar() {
+  const bar = document.createElement("div");
+  bar.style.position = "absolute";
+  bar.style.bottom = "10px";
+  bar.style.left = "50%";
+  bar.style.transform = "translateX(-50%)";
+  bar.style.display = "flex";
+  bar.style.alignItems = "center";
+  bar.style.gap = "6px";
+  bar.style.padding = "6px 10px";
+  bar.style.background = "rgba(0, 0, 0, 0.7)";
+  bar.style.color = "#f5f5f5";
+  bar.style.fontFamily = "system-ui, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+  bar.style.fontSize = "12px";
+  bar.style.borderRadius = "8px";
+  bar.style.zIndex = "10";
+
+  const makeButton = (text, title) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.title = title;
+    btn.style.fontSize = "12px";
+    bar.appendChild(btn);
+    return btn;
+  };
+  timelineBackBtn = makeButton("◀|", "Step back one frame");
+  timelinePlayBtn = makeButton("Pause", "Pause / play (Space)");
+  timelineStepBtn = makeButton("|▶", "Step forward one frame");
+
+  timelineSpeedSelect = document.createElement("select");
+  timelineSpeedSelect.style.fontSize = "12px";
+  timelineSpeeds.forEach((speed) => {
+    const opt = document.createElement("option");
+    opt.value = String(speed);
+    opt.textContent = `${speed}x`;
+    timelineSpeedSelect.appendChild(opt);
+  });
+  timelineSpeedSelect.value = String(timeline.speed);
+  bar.appendChild(timelineSpeedSelect);
+
+  timelineSlider = document.createElement("input");
+  timelineSlider.type = "range";
+  timelineSlider.min = "0";
+  timelineSlider.max = "0";
+  timelineSlider.step = "1";
+  timelineSlider.style.width = "260px";
+  bar.appendChild(timelineSlider);
+
+  timelineLiveBtn = makeButton("Live", "Back to the live simulation");
+
+  timelineLabel = document.createElement("span");
+  timelineLabel.style.fontFamily = "monospace";
+  timelineLabel.style.minWidth = "190px";
+  bar.appendChild(timelineLabel);
+
+  document.body.appendChild(bar);
+
+  timelinePlayBtn.addEventListener("click", () => setTimelinePaused(!timeline.paused));
+  timelineBackBtn.addEventListener("click", stepTimelineBack);
+  timelineStepBtn.addEventListener("click", onTimelineStep);
+  timelineLiveBtn.addEventListener("click", goLive);
+  timelineSpeedSelect.addEventListener("change", () => {
+    timeline.speed = parseFloat(timelineSpeedSelect.value);
+  });
+  timelineSlider.addEventListener("input", () => scrubTimeline(parseInt(timelineSlider.value, 10)));
+}
+
+function setTimelinePaused(paused) {
+  timeline.paused = paused;
+  updateTimelineBar();
+}
+
+function captureTimelineFrame() {
+  const bodies = new Map();
+  for (const body of getSimulatedBodies()) {
+    const state = getBodyState(body);
+    state.acceleration = body.measuredAcceleration.toArray();
+    bodies.set(body, state);
+  }
+
+  return {
+    t: timeElapsed,
+    objects: clickableObjects.map((obj) => ({
+      obj,
+      position: obj.position.toArray(),
+      quaternion: obj.quaternion.toArray()
+    })),
+    bodies
+  };
+}
+
+// Called once per fixed step, after the step
+function recordTimelineFrame() {
+  timelineFrames.push(captureTimelineFrame());
+  if (timelineFrames.length > timelineLength) timelineFrames.shift();
+}
+
+function clearTimeline() {
+  timelineFrames.length = 0;
+  timeline.cursor = -1;
+}
+
+// Leaving the live state: the last frame must hold it exactly, so "Live" can put it back
+// (objects may have been moved with WASD or the gizmo while paused)
+function startReplay() {
+  timelineFrames[timelineFrames.length - 1] = captureTimelineFrame();
+  return timelineFrames.length - 1;
+}
+
+// Poses the scene as it was at a recorded step; physics doesn't run while replaying
+function showTimelineFrame(index) {
+  const frame = timelineFrames[index];
+  timeline.cursor = index;
+  timeElapsed = frame.t;
+
+  for (const { obj, position, quaternion } of frame.objects) {
+    obj.position.fromArray(position);
+    obj.quaternion.fromArray(quaternion);
+  }
+
+  for (const body of getSimulatedBodies()) {
+    const state = frame.bodies.get(body);
+    // spheres / projectiles / blocks spawned after this step aren't there yet
+    if (!clickableObjects.includes(body.mesh)) body.mesh.visible = !!state;
+    if (!state) continue;
+
+    setBodyState(body, state);
+    body.measuredAcceleration.fromArray(state.acceleration);
+  }
+}
+
+function goLive() {
+  if (timeline.cursor < 0) return;
+
+  showTimelineFrame(timelineFrames.length - 1);
+  timeline.cursor = -1;
+  for (const body of getSimulatedBodies()) body.mesh.visible = true;
+}
+
+// Replay moves one recorded step per fixed step and turns live again at the end
+function stepTimelineForward() {
+  if (timeline.cursor + 1 >= timelineFrames.length - 1) goLive();
+  else showTimelineFrame(timeline.cursor + 1);
+}
+
+function stepTimelineBack() {
+  setTimelinePaused(true);
+  if (timelineFrames.length < 2) return;
+
+  const from = timeline.cursor >= 0 ? timeline.cursor : startReplay();
+  showTimelineFrame(Math.max(0, from - 1));
+}
+
+function onTimelineStep() {
+  setTimelinePaused(true);
+  if (timeline.cursor >= 0) stepTimelineForward();
+  else stepSimulation(physicsSettings.fixedDelta);
+}
+
+function scrubTimeline(index) {
+  setTimelinePaused(true);
+  if (!timelineFrames.length) return;
+
+  if (timeline.cursor < 0) startReplay();
+  if (index >= timelineFrames.length - 1) goLive();
+  else showTimelineFrame(index);
+}
+
+function updateTimelineBar() {
+  if (!timelineSlider) return;
+
+  const last = Math.max(0, timelineFrames.length - 1);
+  timelineSlider.max = String(last);
+  timelineSlider.value = String(timeline.cursor >= 0 ? timeline.cursor : last);
+  timelinePlayBtn.textContent = timeline.paused ? "Play" : "Pause";
+
+  let text = `t = ${timeElapsed.toFixed(2)} s `;
+  if (timeline.cursor >= 0) {
+    text += `(replay, −${(timelineFrames[last].t - timeElapsed).toFixed(2)} s)`;
+  } else {
+    text += timeline.paused ? "(paused)" : "(live)";
+  }
+  timelineLabel.textContent = text;
+}
+
+
+/**********************************************************************
+ * SCENE SNAPSHOTS – save / load the whole Playground state as JSON
+ **********************************************************************/
+function getSceneObjectMap() {
+  const map = {
+    sphere: bouncingSphere,
+    torus: spinningTorus,
+    cube: rotatingCube,
+    wall,
+    cone: energyCone
+  };
+  for (const obj of builtObjects) map[`built-${obj.userData.builder.id}`] = obj;
+  return map;
+}
+
+function getSceneObjectKey(obj) {
+  const map = getSceneObjectMap();
+  return Object.keys(map).find((key) => map[key] === obj) || null;
+}
+
+function getBodyState(body) {
+  return {
+    position: body.mesh.position.toArray(),
+    quaternion: body.mesh.quaternion.toArray(),
+    velocity: body.velocity.toArray(),
+    angularVelocity: body.angularVelocity.toArray(),
+    active: body.active
+  };
+}
+
+function setBodyState(body, state) {
+  body.mesh.position.fromArray(state.position);
+  body.mesh.quaternion.fromArray(state.quaternion);
+  body.velocity.fromArray(state.velocity);
+  body.angularVelocity.fromArray(state.angularVelocity);
+  body.active = state.active !== false;
+
+  // nothing to interpolate from yet
+  body.prevPosition.copy(body.mesh.position);
+  body.prevQuaternion.copy(body.mesh.quaternion);
+}
+
+function getJointEndState(end) {
+  return {
+    object: end.body ? getSceneObjectKey(end.body.mesh) : null,
+    local: end.local.toArray()
+  };
+}
+
+function createSnapshot() {
+  const objects = {};
+  for (const [key, obj] of Object.entries(getSceneObjectMap())) {
+    // the glass cone keeps its solid colour in the original material
+    objects[key] = {
+      position: obj.position.toArray(),
+      quaternion: obj.quaternion.toArray(),
+      scale: obj.scale.toArray(),
+      color: getBaseMaterial(obj).color.getHex(),
+      material: obj.userData.materialLab ? getMaterialSettings(obj) : undefined,
+      hidden: obj.visible ? undefined : true
+    };
+  }
+
+  const preset = gravityPresets[currentGravityPreset];
+
+  return {
+    version: snapshotVersion,
+    time: timeElapsed,
+    gravityPreset: {
+      key: currentGravityPreset,
+      label: preset.label,
+      gravity: preset.gravity.toArray(),
+      airDensity: preset.airDensity,
+      floor: preset.floor
+    },
+    speedFactors: { ...speedFactors },
+    animationPaused: { ...animationPaused },
+    coneGlass: coneIsGlass,
+    lights: sceneLights.map(getLightSettings),
+    exposure: renderer.toneMappingExposure,
+    built: builtObjects.map((obj) => ({ ...obj.userData.builder, ...obj.userData.physics })),
+    inclines: inclines.map((incline) => ({
+      id: incline.id,
+      angle: incline.angle,
+      length: incline.length,
+      staticFriction: incline.staticFriction,
+      kineticFriction: incline.kineticFriction,
+      position: incline.mesh.position.toArray(),
+      quaternion: incline.mesh.quaternion.toArray(),
+      material: incline.mesh.userData.materialLab ? getMaterialSettings(incline.mesh) : undefined
+    })),
+    blocks: slidingBlocks.map((body) => getBodyState(body)),
+    tanks: fluidTanks.map((tank) => ({
+      id: tank.id,
+      preset: tank.preset,
+      width: tank.width,
+      length: tank.length,
+      depth: tank.depth,
+      position: tank.group.position.toArray()
+    })),
+    objects,
+    launcher: {
+      speed: projectileSpeedInput.value,
+      elevation: projectileAngleInput.value,
+      horizontal: projectileHAngleInput.value,
+      extraAccY: projectileAccelInput.value,
+      mass: projectileMassInput.value,
+      drag: dragModelSelect.value,
+      cd: dragCoefficientInput.value,
+      linearB: linearDragInput.value,
+      wind: windInputs.map((input) => input.value)
+    },
+    gravityBodies: [...gravityBodies].map(([obj, body]) => ({
+      object: getSceneObjectKey(obj),
+      keepSimulated: body.keepSimulated || undefined,
+      state: getBodyState(body)
+    })),
+    jointBodies: [...jointBodies.values()].map((body) => ({
+      object: getSceneObjectKey(body.mesh),
+      mass: body.mass,
+      state: getBodyState(body)
+    })),
+    joints: joints.map((j) => ({
+      type: j.type,
+      a: getJointEndState(j.a),
+      b: getJointEndState(j.b),
+      restLength: j.restLength,
+      stiffness: j.stiffness,
+      damping: j.damping,
+      axis: j.axis ? j.axis.toArray() : null
+    })),
+    orbitMode: orbitState.enabled,
+    attractors: orbitState.attractors.map((a) => ({ type: a.type, position: a.mesh.position.toArray() })),
+    spheres: dynamicBodies.map((body) => ({
+      color: body.mesh.material.color.getHex(),
+      density: body.mass / getShapeVolume(body.shape),
+      state: getBodyState(body)
+    })),
+    projectiles: projectiles.map((body) => ({
+      color: body.mesh.material.color.getHex(),
+      mass: body.mass,
+      acceleration: body.acceleration ? body.acceleration.toArray() : null,
+      drag: body.drag ? { ...body.drag, wind: body.drag.wind.toArray() } : null,
+      orbital: !!body.orbital,
+      state: getBodyState(body)
+    }))
+  };
+}
+
+function applySnapshot(snap) {
+  if (!snap || snap.version !== snapshotVersion || !snap.objects) {
+    throw new Error("not a Playground scene snapshot");
+  }
+
+  // start from an empty scene (the recording belongs to the old one)
+  clearTimeline();
+  clearProjectiles();
+  clearFallingSpheres();
+  clearJoints();
+  clearAttractors();
+  gravityBodies.clear();
+  setSelection([]);
+
+  // gravity preset (a custom preset travels with the snapshot)
+  const p = snap.gravityPreset;
+  if (p && !gravityPresets[p.key]) {
+    gravityPresets[p.key] = {
+      label: p.label,
+      gravity: new THREE.Vector3().fromArray(p.gravity),
+      airDensity: p.airDensity || 0,
+      floor: p.floor || null
+    };
+    refreshPresetOptions();
+  }
+  if (p) {
+    gravityPresetSelect.value = p.key;
+    onGravityPresetChange();
+  }
+
+  // built objects first, so transforms, joints and gravity can refer to them
+  while (builtObjects.length) removeBuiltObject(builtObjects[0]);
+  for (const settings of snap.built || []) {
+    // colour and size come back with the object transforms below
+    addBuiltObject({ ...settings, size: 1, color: 0xffffff }, new THREE.Vector3(), settings.id);
+  }
+
+  clearInclines();
+  for (const entry of snap.inclines || []) {
+    const incline = addIncline(entry, new THREE.Vector3(), entry.id);
+    incline.mesh.position.fromArray(entry.position);
+    incline.mesh.quaternion.fromArray(entry.quaternion);
+    if (entry.material) applyMaterialSettings(incline.mesh, entry.material);
+    updateCollider(incline.mesh);
+  }
+  for (const state of snap.blocks || []) {
+    setBodyState(addSlidingBlock(createBlockMesh()), state);
+  }
+
+  clearFluidTanks();
+  for (const entry of snap.tanks || []) {
+    addFluidTank(entry, new THREE.Vector3().fromArray(entry.position), entry.id);
+  }
+
+  Object.assign(speedFactors, snap.speedFactors);
+  Object.assign(animationPaused, snap.animationPaused);
+  timeElapsed = snap.time || 0;
+
+  // older snapshots were saved with the default lights
+  setSceneLights(snap.lights || defaultLights);
+  setExposure(snap.exposure || defaultExposure);
+
+  const objects = getSceneObjectMap();
+  for (const [key, state] of Object.entries(snap.objects)) {
+    const obj = objects[key];
+    if (!obj) continue;
+    obj.position.fromArray(state.position);
+    obj.quaternion.fromArray(state.quaternion);
+    obj.scale.fromArray(state.scale);
+    if (state.material) applyMaterialSettings(obj, state.material);
+    else resetMaterial(obj);
+    getBaseMaterial(obj).color.setHex(state.color);
+    setObjectHidden(obj, !!state.hidden);
+  }
+  if (!!snap.coneGlass !== coneIsGlass) toggleGlassMode();
+  updateSceneColliders();
+
+  if (snap.launcher) {
+    const l = snap.launcher;
+    projectileSpeedInput.value = l.speed;
+    projectileAngleInput.value = l.elevation;
+    projectileHAngleInput.value = l.horizontal;
+    projectileAccelInput.value = l.extraAccY;
+    projectileMassInput.value = l.mass;
+    dragModelSelect.value = l.drag;
+    dragCoefficientInput.value = l.cd;
+    linearDragInput.value = l.linearB;
+    windInputs.forEach((input, i) => (input.value = l.wind[i]));
+  }
+
+  // older snapshots hold a single gravityBody
+  const gravityEntries = snap.gravityBodies || (snap.gravityBody ? [snap.gravityBody] : []);
+  for (const entry of gravityEntries) {
+    const obj = objects[entry.object];
+    if (!obj) continue;
+    const body = startGravity(obj);
+    body.keepSimulated = !!entry.keepSimulated;
+    setBodyState(body, entry.state);
+  }
+
+  for (const entry of snap.jointBodies || []) {
+    const obj = objects[entry.object];
+    if (!obj) continue;
+    const body = createRigidBody(obj, {
+      restitution: 0.35,
+      friction: 0.5,
+      ...obj.userData.physics,
+      mass: entry.mass
+    });
+    setBodyState(body, entry.state);
+    jointBodies.set(obj, body);
+  }
+
+  const toEnd = (end) => ({
+    body: end.object ? jointBodies.get(objects[end.object]) || null : null,
+    local: new THREE.Vector3().fromArray(end.local)
+  });
+  for (const j of snap.joints || []) {
+    addJoint(j.type, toEnd(j.a), toEnd(j.b), {
+      restLength: j.restLength,
+      stiffness: j.stiffness,
+      damping: j.damping,
+      axis: j.axis ? new THREE.Vector3().fromArray(j.axis) : null
+    });
+  }
+
+  orbitState.enabled = !!snap.orbitMode;
+  orbitModeCheckbox.checked = orbitState.enabled;
+  for (const a of snap.attractors || []) {
+    placeAttractor(a.type, new THREE.Vector3().fromArray(a.position));
+    orbitState.attractors[orbitState.attractors.length - 1].mesh.position.fromArray(a.position);
+  }
+
+  for (const sphere of snap.spheres || []) {
+    const body = addFallingSphere(new THREE.Vector3(), new THREE.Vector3(), sphere.color, sphere.density);
+    setBodyState(body, sphere.state);
+  }
+
+  for (const proj of snap.projectiles || []) {
+    const state = proj.state;
+    const body = addProjectile(
+      {
+        startPos: new THREE.Vector3().fromArray(state.position),
+        velocity: new THREE.Vector3().fromArray(state.velocity),
+        acceleration: new THREE.Vector3().fromArray(proj.acceleration || [0, 0, 0]),
+        mass: proj.mass,
+        drag: proj.drag ? { ...proj.drag, wind: new THREE.Vector3().fromArray(proj.drag.wind) } : null,
+        orbit: proj.orbital
+      },
+      new THREE.Color(proj.color)
+    );
+    setBodyState(body, state);
+  }
+}
+
+// Numbers to 4 decimals keep files and links short
+function roundSnapshotNumber(key, value) {
+  return typeof value === "number" ? +value.toFixed(4) : value;
+}
+
+// Snapshot JSON as URL-safe base64 (UTF-8, so custom preset names survive)
+function encodeSnapshot(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot, roundSnapshotNumber));
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeSnapshot(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function onSaveScene() {
+  downloadTextFile(
+    "playground-scene.json",
+    JSON.stringify(createSnapshot(), roundSnapshotNumber, 2),
+    "application/json"
+  );
+}
+
+function onLoadSceneFile() {
+  const file = loadSceneInput.files[0];
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      applySnapshot(JSON.parse(reader.result));
+    } catch (err) {
+      alert("Could not load scene: " + err.message);
+    }
+  };
+  reader.readAsText(file);
+  loadSceneInput.value = ""; // allow loading the same file again
+}
+
+function onShareScene() {
+  const url = new URL(window.location.href);
+  url.searchParams.set("mode", "playground");
+  url.searchParams.set(snapshotUrlParam, encodeSnapshot(createSnapshot()));
+  shareLinkInput.value = url.toString();
+  shareLinkInput.select();
+
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(shareLinkInput.value).catch(() => {
+      // clipboard blocked (e.g. plain http): the link is still selected in the box
+    });
+  }
+}
+
+function loadSnapshotFromUrl() {
+  const encoded = new URLSearchParams(window.location.search).get(snapshotUrlParam);
+  if (!encoded) return;
+
+  try {
+    applySnapshot(decodeSnapshot(encoded));
+  } catch (err) {
+    alert("Could not load the shared scene from this link: " + err.message);
+  }
+}
+
+
+/**********************************************************************
+ * TELEMETRY – kinetic / potential energy and linear momentum over time
+ **********************************************************************/
+// KE = ½·m·v² + ½·ωᵀ·I·ω ; PE from uniform gravity (floor is zero) or the attractors
+function getBodyEnergy(body) {
+  const wLocal = body.angularVelocity.clone().applyQuaternion(body.mesh.quaternion.clone().conjugate());
+  const rotational =
+    0.5 *
+    (wLocal.x * wLocal.x / body.invInertia.x +
+      wLocal.y * wLocal.y / body.invInertia.y +
+      wLocal.z * wLocal.z / body.invInertia.z);
+  const kinetic = 0.5 * body.mass * body.velocity.lengthSq() + rotational;
+
+  let potential = 0;
+  if (body.orbital) {
+    for (const a of orbitState.attractors) {
+      const r = Math.max(a.mesh.position.distanceTo(body.mesh.position), a.radius);
+      potential -= (a.mu * body.mass) / r;
+    }
+  } else {
+    const g = body.acceleration || getGravityVector(tmpGravity);
+    potential = -body.mass * g.dot(body.mesh.position);
+  }
+
+  return { kinetic, potential };
+}
+
+// Energy stored in stretched/compressed springs (½·k·ΔL²)
+function getSpringEnergy() {
+  let energy = 0;
+  for (const joint of joints) {
+    if (joint.type !== "spring") continue;
+    const stretch = getJointEndPoint(joint.a).distanceTo(getJointEndPoint(joint.b)) - joint.restLength;
+    energy += 0.5 * joint.stiffness * stretch * stretch;
+  }
+  return energy;
+}
+
+function measureBodies(bodies, extraPotential = 0) {
+  const sample = { kinetic: 0, potential: extraPotential, total: 0, momentum: new THREE.Vector3() };
+  for (const body of bodies) {
+    const e = getBodyEnergy(body);
+    sample.kinetic += e.kinetic;
+    sample.potential += e.potential;
+    sample.momentum.addScaledVector(body.velocity, body.mass);
+  }
+  sample.total = sample.kinetic + sample.potential;
+  return sample;
+}
+
+function recordTelemetry() {
+  const selectedBody = lastClickedObject ? getSceneBody(lastClickedObject) : null;
+
+  telemetryHistory.push({
+    t: timeElapsed,
+    selected: selectedBody ? measureBodies([selectedBody]) : null,
+    system: measureBodies(getSimulatedBodies(), getSpringEnergy())
+  });
+  if (telemetryHistory.length > telemetryHistoryLength) telemetryHistory.shift();
+}
+
+function drawTelemetry() {
+  if (!telemetryEnergyCanvas) return;
+
+  const scope = telemetryScopeSelect.value;
+  const samples = telemetryHistory.map((h) => h[scope]);
+  const pick = (key) => samples.map((s) => (s ? s[key] : null));
+
+  drawTelemetryGraph(telemetryEnergyCanvas, [
+    { values: pick("kinetic"), color: telemetryColors.kinetic },
+    { values: pick("potential"), color: telemetryColors.potential },
+    { values: pick("total"), color: telemetryColors.total }
+  ]);
+  drawTelemetryGraph(telemetryMomentumCanvas, [
+    { values: samples.map((s) => (s ? s.momentum.length() : null)), color: telemetryColors.momentum }
+  ]);
+
+  const latest = samples[samples.length - 1];
+  if (!latest) {
+    telemetryLabel.textContent =
+      scope === "selected"
+        ? "Selected object is not simulated (drop it with gravity or attach it to a joint)."
+        : "";
+    return;
+  }
+
+  const p = latest.momentum;
+  telemetryLabel.textContent =
+    `KE: ${latest.kinetic.toFixed(2)} J | PE: ${latest.potential.toFixed(2)} J\n` +
+    `Total: ${latest.total.toFixed(2)} J\n` +
+    `p: (${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)}) kg·m/s | |p|: ${p.length().toFixed(2)}`;
+}
+
+// Scrolling line graph, auto-scaled to the visible samples (null = gap)
+function drawTelemetryGraph(canvas, series) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  ctx.clearRect(0, 0, w, h);
+
+  let min = 0;
+  let max = 0;
+  for (const s of series) {
+    for (const v of s.values) {
+      if (v === null) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  if (max - min < 1e-6) max = min + 1;
+
+  const toY = (v) => h - 2 - ((v - min) / (max - min)) * (h - 4);
+
+  // zero line
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, toY(0));
+  ctx.lineTo(w, toY(0));
+  ctx.stroke();
+
+  for (const s of series) {
+    ctx.strokeStyle = s.color;
+    ctx.beginPath();
+    let drawing = false;
+    s.values.forEach((v, i) => {
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      const x = (i / (telemetryHistoryLength - 1)) * w;
+      if (drawing) ctx.lineTo(x, toY(v));
+      else ctx.moveTo(x, toY(v));
+      drawing = true;
+    });
+    ctx.stroke();
+  }
+
+  // scale labels
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+  ctx.font = "9px sans-serif";
+  ctx.fillText(max.toFixed(1), 2, 9);
+  ctx.fillText(min.toFixed(1), 2, h - 2);
+}
+
+
+/**********************************************************************
+ * COLLISION CACHING
+ *
+ * userData.collider is the world AABB (cheap first test); userData.collisionShape
+ * is the exact collider for the object's type, in world space:
+ *   sphere  – sphere geometry
+ *   capsule – cylinders (segment along the axis, rounded past the caps)
+ *   obb     – boxes, the wall and the torus (oriented box around the geometry)
+ *   hull    – cones, ramps and inclines (convex hull of the vertices)
+ **********************************************************************/
+function addCollisionBox(object) {
+  object.userData.collider = new THREE.Box3().setFromObject(object);
+  updateCollisionShape(object);
+}
+
+function updateCollider(object) {
+  object.userData.collider.setFromObject(object);
+  updateCollisionShape(object);
+}
+
+function createCollisionShape(obj) {
+  const geo = obj.geometry;
+  const p = geo.parameters || {};
+
+  switch (geo.type) {
+    case "SphereGeometry":
+    case "SphereBufferGeometry":
+      return { type: "sphere", geometry: geo, localRadius: p.radius, center: new THREE.Vector3(), radius: 0 };
+
+    case "CylinderGeometry":
+    case "CylinderBufferGeometry":
+      return {
+        type: "capsule",
+        geometry: geo,
+        localRadius: Math.max(p.radiusTop, p.radiusBottom),
+        halfLength: p.height / 2,
+        start: new THREE.Vector3(),
+        end: new THREE.Vector3(),
+        radius: 0
+      };
+
+    case "BoxGeometry":
+    case "BoxBufferGeometry":
+    case "TorusGeometry":
+    case "TorusBufferGeometry": {
+      if (!geo.boundingBox) geo.computeBoundingBox();
+      return {
+        type: "obb",
+        geometry: geo,
+        localCenter: geo.boundingBox.getCenter(new THREE.Vector3()),
+        localHalf: geo.boundingBox.getSize(new THREE.Vector3()).multiplyScalar(0.5),
+        center: new THREE.Vector3(),
+        axes: [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()],
+        half: new THREE.Vector3()
+      };
+    }
+
+    default: {
+      const localPoints = getUniqueVertices(geo);
+      const { planes: localPlanes, edges } = getHullFaces(localPoints);
+      return {
+        type: "hull",
+        geometry: geo,
+        localPoints,
+        points: localPoints.map((v) => v.clone()),
+        localPlanes,
+        planes: localPlanes.map((plane) => plane.clone()),
+        edges
+      };
+    }
+  }
+}
+
+// Face planes (normals pointing out) and edges (index pairs) of the convex hull of points:
+// a plane through three points with every other point behind it holds a face, and two
+// points lying on two of the faces share an edge
+function getHullFaces(points) {
+  const eps = 1e-6 * Math.max(1, ...points.map((point) => point.length())); // float32 vertices
+  const planes = [];
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      for (let k = j + 1; k < points.length; k++) {
+        ab.subVectors(points[j], points[i]);
+        ac.subVectors(points[k], points[i]);
+        const normal = ab.cross(ac);
+        if (normal.lengthSq() < 1e-12) continue;
+
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal.normalize(), points[i]);
+        let front = false;
+        let back = false;
+        for (const point of points) {
+          const d = plane.distanceToPoint(point);
+          if (d > eps) front = true;
+          if (d < -eps) back = true;
+        }
+        if (front && back) continue;
+        if (front) plane.negate();
+
+        const known = planes.some(
+          (other) => other.normal.dot(plane.normal) > 1 - eps && Math.abs(other.constant - plane.constant) < eps
+        );
+        if (!known) planes.push(plane);
+      }
+    }
+  }
+
+  const faceSets = points.map((point) =>
+    planes.filter((plane) => Math.abs(plane.distanceToPoint(point)) < eps)
+  );
+  const edges = [];
+  for (let i = 0; i < points.length; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const shared = faceSets[i].filter((plane) => faceSets[j].includes(plane));
+      if (shared.length >= 2) edges.push([i, j]);
+    }
+  }
+  return { planes, edges };
+}
+
+// Moves the exact collider to the object's current matrixWorld (rebuilt if the geometry changed)
+function updateCollisionShape(obj) {
+  let shape = obj.userData.collisionShape;
+  if (!shape || shape.geometry !== obj.geometry) {
+    shape = obj.userData.collisionShape = createCollisionShape(obj);
+  }
+
+  obj.updateMatrixWorld();
+  const m = obj.matrixWorld;
+  const scale = new THREE.Vector3().setFromMatrixScale(m);
+
+  switch (shape.type) {
+    case "sphere":
+      shape.center.setFromMatrixPosition(m);
+      shape.radius = shape.localRadius * Math.max(scale.x, scale.y, scale.z);
+      break;
+
+    case "capsule":
+      shape.start.set(0, -shape.halfLength, 0).applyMatrix4(m);
+      shape.end.set(0, shape.halfLength, 0).applyMatrix4(m);
+      shape.radius = shape.localRadius * Math.max(scale.x, scale.z);
+      break;
+
+    case "obb":
+      shape.center.copy(shape.localCenter).applyMatrix4(m);
+      shape.axes.forEach((axis, i) => axis.setFromMatrixColumn(m, i).normalize());
+      shape.half.copy(shape.localHalf).multiply(scale);
+      break;
+
+    case "hull": {
+      shape.points.forEach((point, i) => point.copy(shape.localPoints[i]).applyMatrix4(m));
+      const normalMatrix = new THREE.Matrix3().getNormalMatrix(m);
+      shape.planes.forEach((plane, i) => plane.copy(shape.localPlanes[i]).applyMatrix4(m, normalMatrix));
+      break;
+    }
+  }
+}
+
+// Scene objects spin, bounce and fall, so their boxes are refreshed every frame
+function updateSceneColliders() {
+  for (const obj of clickableObjects) {
+    if (obj.userData.collider) updateCollider(obj);
+  }
+}
+
+// AABBs first, then the exact colliders
+function objectsOverlap(a, b) {
+  if (!a.userData.collider.intersectsBox(b.userData.collider)) return false;
+  return collidersOverlap(a.userData.collisionShape, b.userData.collisionShape);
+}
+
+// Farthest point of a convex collider in direction dir
+function getSupportPoint(shape, dir, target) {
+  switch (shape.type) {
+    case "sphere":
+      return target.copy(dir).normalize().multiplyScalar(shape.radius).add(shape.center);
+
+    case "capsule": {
+      const end = dir.dot(shape.start) > dir.dot(shape.end) ? shape.start : shape.end;
+      return target.copy(dir).normalize().multiplyScalar(shape.radius).add(end);
+    }
+
+    case "obb":
+      target.copy(shape.center);
+      shape.axes.forEach((axis, i) => {
+        target.addScaledVector(axis, Math.sign(dir.dot(axis)) * shape.half.getComponent(i));
+      });
+      return target;
+
+    case "hull": {
+      let best = shape.points[0];
+      let bestDot = -Infinity;
+      for (const point of shape.points) {
+        const d = point.dot(dir);
+        if (d > bestDot) {
+          bestDot = d;
+          best = point;
+        }
+      }
+      return target.copy(best);
+    }
+  }
+  return target.set(0, 0, 0);
+}
+
+// Support point of the Minkowski difference a − b
+function getMinkowskiSupport(a, b, dir) {
+  const p = getSupportPoint(a, dir, new THREE.Vector3());
+  const q = getSupportPoint(b, dir.clone().negate(), new THREE.Vector3());
+  return p.sub(q);
+}
+
+// GJK: two convex colliders overlap when their Minkowski difference contains the origin.
+// simplex[0] is always the newest point; dir is updated in place.
+function collidersOverlap(a, b) {
+  const dir = new THREE.Vector3(1, 0, 0);
+  const simplex = [getMinkowskiSupport(a, b, dir)];
+  dir.copy(simplex[0]).negate();
+
+  for (let i = 0; i < gjkMaxIterations; i++) {
+    if (dir.lengthSq() < 1e-12) return true; // origin lies on the simplex
+    const point = getMinkowskiSupport(a, b, dir);
+    if (point.dot(dir) <= 0) return false; // can't get past the origin: separated (or just touching)
+
+    simplex.unshift(point);
+    if (updateSimplex(simplex, dir)) return true;
+  }
+  return false;
+}
+
+function sameDirection(v, ao) {
+  return v.dot(ao) > 0;
+}
+
+// Towards the origin, perpendicular to line ab
+function tripleCross(ab, ao) {
+  return ab.clone().cross(ao).cross(ab);
+}
+
+function updateSimplex(simplex, dir) {
+  if (simplex.length === 2) return lineSimplex(simplex, dir);
+  if (simplex.length === 3) return triangleSimplex(simplex, dir);
+  return tetrahedronSimplex(simplex, dir);
+}
+
+function lineSimplex(simplex, dir) {
+  const [a, b] = simplex;
+  const ab = b.clone().sub(a);
+  const ao = a.clone().negate();
+
+  if (sameDirection(ab, ao)) {
+    dir.copy(tripleCross(ab, ao));
+  } else {
+    simplex.length = 1;
+    dir.copy(ao);
+  }
+  return false;
+}
+
+function triangleSimplex(simplex, dir) {
+  const [a, b, c] = simplex;
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const ao = a.clone().negate();
+  const abc = ab.clone().cross(ac);
+
+  if (sameDirection(abc.clone().cross(ac), ao)) {
+    if (sameDirection(ac, ao)) {
+      simplex.splice(0, 3, a, c);
+      dir.copy(tripleCross(ac, ao));
+      return false;
+    }
+    simplex.splice(0, 3, a, b);
+    return lineSimplex(simplex, dir);
+  }
+
+  if (sameDirection(ab.clone().cross(abc), ao)) {
+    simplex.splice(0, 3, a, b);
+    return lineSimplex(simplex, dir);
+  }
+
+  // origin is above or below the triangle
+  if (sameDirection(abc, ao)) {
+    dir.copy(abc);
+  } else {
+    simplex.splice(0, 3, a, c, b);
+    dir.copy(abc).negate();
+  }
+  return false;
+}
+
+function tetrahedronSimplex(simplex, dir) {
+  const [a, b, c, d] = simplex;
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const ad = d.clone().sub(a);
+  const ao = a.clone().negate();
+
+  const faces = [
+    { normal: ab.clone().cross(ac), points: [a, b, c] },
+    { normal: ac.clone().cross(ad), points: [a, c, d] },
+    { normal: ad.clone().cross(ab), points: [a, d, b] }
+  ];
+  for (const face of faces) {
+    if (sameDirection(face.normal, ao)) {
+      simplex.splice(0, 4, ...face.points);
+      return triangleSimplex(simplex, dir);
+    }
+  }
+  return true;
+}
+
+// Wireframes of the exact colliders, posed from the object as drawn this frame
+const unitSphereEdges = new THREE.WireframeGeometry(new THREE.SphereBufferGeometry(1, 12, 8));
+const unitBoxEdges = new THREE.EdgesGeometry(new THREE.BoxBufferGeometry(1, 1, 1));
+
+function createCapsuleEdges(radius, length) {
+  const profile = [];
+  const steps = 6;
+  for (let i = 0; i <= steps; i++) {
+    const a = -Math.PI / 2 + (i / steps) * (Math.PI / 2);
+    profile.push(new THREE.Vector2(Math.cos(a) * radius, Math.sin(a) * radius - length / 2));
+  }
+  for (let i = 0; i <= steps; i++) {
+    const a = (i / steps) * (Math.PI / 2);
+    profile.push(new THREE.Vector2(Math.cos(a) * radius, Math.sin(a) * radius + length / 2));
+  }
+  return new THREE.WireframeGeometry(new THREE.LatheBufferGeometry(profile, 12));
+}
+
+function getColliderWireframe(obj, shape) {
+  let entry = colliderWireframes.get(obj);
+  if (entry && entry.shape === shape) return entry;
+  if (entry) removeColliderWireframe(obj);
+
+  let geometry = unitBoxEdges;
+  if (shape.type === "sphere") geometry = unitSphereEdges;
+  if (shape.type === "hull") geometry = new THREE.EdgesGeometry(shape.geometry);
+
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: colliderColors[shape.type] }));
+  lines.matrixAutoUpdate = false;
+  colliderDebugGroup.add(lines);
+
+  entry = { shape, lines, key: "" };
+  colliderWireframes.set(obj, entry);
+  return entry;
+}
+
+function removeColliderWireframe(obj) {
+  const entry = colliderWireframes.get(obj);
+  if (!entry) return;
+
+  colliderDebugGroup.remove(entry.lines);
+  if (entry.lines.geometry !== unitBoxEdges && entry.lines.geometry !== unitSphereEdges) {
+    entry.lines.geometry.dispose();
+  }
+  entry.lines.material.dispose();
+  colliderWireframes.delete(obj);
+}
+
+function updateColliderDebug() {
+  colliderDebugGroup.visible = colliderDebug.enabled;
+  if (!colliderDebug.enabled) return;
+
+  for (const obj of [...colliderWireframes.keys()]) {
+    if (!clickableObjects.includes(obj)) removeColliderWireframe(obj);
+  }
+
+  const scale = new THREE.Vector3();
+  for (const obj of clickableObjects) {
+    const shape = obj.userData.collisionShape;
+    if (!shape) continue;
+
+    const { lines } = getColliderWireframe(obj, shape);
+    obj.updateMatrixWorld();
+    const m = obj.matrixWorld;
+    scale.setFromMatrixScale(m);
+
+    switch (shape.type) {
+      case "sphere": {
+        const radius = shape.localRadius * Math.max(scale.x, scale.y, scale.z);
+        lines.matrix.makeScale(radius, radius, radius).setPosition(new THREE.Vector3().setFromMatrixPosition(m));
+        break;
+      }
+
+      case "capsule": {
+        const start = new THREE.Vector3(0, -shape.halfLength, 0).applyMatrix4(m);
+        const end = new THREE.Vector3(0, shape.halfLength, 0).applyMatrix4(m);
+        const radius = shape.localRadius * Math.max(scale.x, scale.z);
+        const length = start.distanceTo(end);
+
+        // the capsule outline depends on radius and length, so it is rebuilt when they change
+        const entry = colliderWireframes.get(obj);
+        const key = `${radius.toFixed(3)}:${length.toFixed(3)}`;
+        if (entry.key !== key) {
+          if (entry.key) lines.geometry.dispose();
+          lines.geometry = createCapsuleEdges(radius, length);
+          entry.key = key;
+        }
+
+        const axis = end.clone().sub(start).normalize();
+        const q = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), axis);
+        lines.matrix.compose(start.add(end).multiplyScalar(0.5), q, new THREE.Vector3(1, 1, 1));
+        break;
+      }
+
+      case "obb":
+        lines.matrix
+          .copy(m)
+          .multiply(new THREE.Matrix4().makeTranslation(shape.localCenter.x, shape.localCenter.y, shape.localCenter.z))
+          .scale(shape.localHalf.clone().multiplyScalar(2));
+        break;
+
+      case "hull":
+        lines.matrix.copy(m);
+        break;
+    }
+    lines.matrixWorldNeedsUpdate = true;
+  }
+}
+
+/**********************************************************************
+ * MOVEMENT + COLLISION WITH OBJECTS
+ **********************************************************************/
+
+function getApproxRadius(object) {
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  return size.length() * 0.5; // half of the diagonal as a rough radius
+}
+
+
+function updateSelectionMovement(delta) {
+  const group = getSelectedObjects();
+  if (!group.length) return;
+
+  const speed = moveSpeed * delta;
+
+  // Camera-relative directions
+  const forward = new THREE.Vector3();
+  camera.getWorldDirection(forward);
+  forward.y = 0;
+  forward.normalize();
+
+  const right = new THREE.Vector3()
+    .crossVectors(forward, new THREE.Vector3(0, 1, 0))
+    .normalize();
+
+  const moveDir = new THREE.Vector3();
+  if (moveInput.forward) moveDir.add(forward);
+  if (moveInput.back) moveDir.sub(forward);
+  if (moveInput.left) moveDir.sub(right);
+  if (moveInput.right) moveDir.add(right);
+
+  if (moveDir.lengthSq() === 0) return;
+  moveDir.normalize();
+
+  const displacement = moveDir.multiplyScalar(speed);
+
+  // --- AXIS SEPARATED MOVEMENT (KEY PART) ---
+  const axes = ["x", "z"];
+
+  // the selection moves as one; members never block each other
+  for (const axis of axes) {
+    for (const obj of group) {
+      obj.position[axis] += displacement[axis];
+      updateCollider(obj);
+    }
+
+    if (group.some((obj) => collidesWithScene(obj, selectedObjects))) {
+      // undo movement on this axis only
+      for (const obj of group) {
+        obj.position[axis] -= displacement[axis];
+        updateCollider(obj);
+      }
+    }
+  }
+}
+
+
+// True when obj's collider overlaps another object's (ignoring those in `ignore`)
+function collidesWithScene(obj, ignore = null) {
+  for (const other of clickableObjects) {
+    if (other === obj || (ignore && ignore.has(other))) continue;
+    if (objectsOverlap(obj, other)) return true;
+  }
+  return false;
+}
+
+
+/**********************************************************************
+ * TRANSFORM GIZMO – drag handles to move, rotate and scale the selection
+ **********************************************************************/
+function createGizmo() {
+  gizmo = new THREE.Group();
+  gizmo.visible = false;
+
+  const handleMaterial = (color) =>
+    new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+  const pickMaterial = new THREE.MeshBasicMaterial({
+    transparent: true,
+    opacity: 0,
+    depthTest: false,
+    depthWrite: false
+  });
+
+  // geometry is built along +Y; this turns it onto the handle's axis
+  const alignToAxis = (mesh, axis) => {
+    if (axis === "x") mesh.rotation.z = -Math.PI / 2;
+    if (axis === "z") mesh.rotation.x = Math.PI / 2;
+  };
+  const tagHandle = (handle, axis) => {
+    handle.traverse((mesh) => {
+      mesh.userData.gizmoAxis = axis;
+      mesh.renderOrder = 999;
+    });
+  };
+
+  for (const mode of ["translate", "rotate", "scale"]) {
+    gizmoHandles[mode] = new THREE.Group();
+    gizmo.add(gizmoHandles[mode]);
+  }
+
+  for (const [axis, { color }] of Object.entries(gizmoAxes)) {
+    // Move: arrow with a fat invisible shaft to grab
+    const arrow = new THREE.Group();
+    arrow.add(new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 1, 8).translate(0, 0.5, 0), handleMaterial(color)));
+    arrow.add(new THREE.Mesh(new THREE.ConeGeometry(0.06, 0.2, 12).translate(0, 1.1, 0), handleMaterial(color)));
+    arrow.add(new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 1, 8).translate(0, 0.7, 0), pickMaterial));
+    tagHandle(arrow, axis);
+    alignToAxis(arrow, axis);
+    gizmoHandles.translate.add(arrow);
+
+    // Rotate: ring around the axis
+    const ring = new THREE.Group();
+    ring.add(new THREE.Mesh(new THREE.TorusGeometry(1, 0.012, 6, 64), handleMaterial(color)));
+    ring.add(new THREE.Mesh(new THREE.TorusGeometry(1, 0.08, 6, 32), pickMaterial));
+    tagHandle(ring, axis);
+    if (axis === "x") ring.rotation.y = Math.PI / 2;
+    if (axis === "y") ring.rotation.x = Math.PI / 2;
+    gizmoHandles.rotate.add(ring);
+
+    // Scale: shaft with a cube on the end
+    const bar = new THREE.Group();
+    bar.add(new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 1, 8).translate(0, 0.5, 0), handleMaterial(color)));
+    bar.add(new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.12, 0.12).translate(0, 1, 0), handleMaterial(color)));
+    bar.add(new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.9, 8).translate(0, 0.65, 0), pickMaterial));
+    tagHandle(bar, axis);
+    alignToAxis(bar, axis);
+    gizmoHandles.scale.add(bar);
+  }
+
+  // centre cube scales uniformly
+  const uniform = new THREE.Mesh(new THREE.BoxGeometry(0.18, 0.18, 0.18), handleMaterial(0xffffff));
+  tagHandle(uniform, "xyz");
+  gizmoHandles.scale.add(uniform);
+
+  scene.add(gizmo);
+}
+
+// Follows the selection at a constant on-screen size; called every frame
+function updateGizmo() {
+  const obj = lastClickedObject;
+  gizmo.visible = !!obj && gizmoState.mode !== "off";
+
+  if (gizmo.visible) {
+    gizmo.position.copy(obj.position);
+    gizmo.scale.setScalar(camera.position.distanceTo(obj.position) * gizmoScreenSize);
+    for (const mode of Object.keys(gizmoHandles)) {
+      gizmoHandles[mode].visible = mode === gizmoState.mode;
+    }
+  }
+
+  updateTransformReadout();
+}
+
+function updateTransformReadout() {
+  if (!transformLabel) return;
+
+  const obj = lastClickedObject;
+  if (!obj) {
+    transformLabel.textContent = "Select an object.";
+    return;
+  }
+
+  const f = (v) => v.toFixed(2).padStart(6);
+  const r = obj.rotation;
+  const deg = THREE.MathUtils.radToDeg;
+  transformLabel.textContent =
+    `pos   ${f(obj.position.x)} ${f(obj.position.y)} ${f(obj.position.z)}\n` +
+    `rot°  ${f(deg(r.x))} ${f(deg(r.y))} ${f(deg(r.z))}\n` +
+    `scale ${f(obj.scale.x)} ${f(obj.scale.y)} ${f(obj.scale.z)}`;
+}
+
+function setRayFromEvent(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(mouse, camera);
+}
+
+function startGizmoDrag(event) {
+  const obj = lastClickedObject;
+  if (!obj || !gizmo.visible) return false;
+
+  setRayFromEvent(event);
+  const hit = raycaster.intersectObject(gizmoHandles[gizmoState.mode], true)[0];
+  if (!hit) return false;
+
+  const axis = hit.object.userData.gizmoAxis;
+  const drag = {
+    axis,
+    startX: event.clientX,
+    center: obj.position.clone(),
+    startPosition: obj.position.clone(),
+    startQuaternion: obj.quaternion.clone(),
+    startScale: obj.scale.clone(),
+    startParam: null,
+    startAngle: null
+  };
+
+  if (gizmoState.mode === "translate" || (gizmoState.mode === "scale" && axis !== "xyz")) {
+    drag.startParam = getAxisParam(drag.center, gizmoAxes[axis].dir);
+    if (drag.startParam === null) return false; // looking straight down the axis
+  } else if (gizmoState.mode === "rotate") {
+    drag.startAngle = getRingAngle(drag.center, gizmoAxes[axis].dir);
+    if (drag.startAngle === null) return false;
+  }
+
+  // the gizmo places the object by hand: stop its animation and any motion
+  setAnimationPaused(obj, true);
+  const body = getSceneBody(obj);
+  if (body) {
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+  }
+
+  gizmoState.drag = drag;
+  return true;
+}
+
+function updateGizmoDrag(event) {
+  const obj = lastClickedObject;
+  const drag = gizmoState.drag;
+  if (!obj) return;
+
+  setRayFromEvent(event);
+  const snap = snapCheckbox.checked;
+  let grid = parseFloat(gridStepInput.value);
+  if (isNaN(grid) || grid <= 0) grid = 0.5;
+
+  if (gizmoState.mode === "translate") {
+    const t = getAxisParam(drag.center, gizmoAxes[drag.axis].dir);
+    if (t === null) return;
+
+    let value = drag.startPosition[drag.axis] + t - drag.startParam;
+    if (snap) value = Math.round(value / grid) * grid;
+
+    // blocked: slide up to the obstacle instead of stopping short
+    if (!tryTransform(obj, () => (obj.position[drag.axis] = value))) {
+      let free = obj.position[drag.axis];
+      for (let i = 0; i < 10; i++) {
+        const mid = (free + value) / 2;
+        if (tryTransform(obj, () => (obj.position[drag.axis] = mid))) free = mid;
+        else value = mid;
+      }
+    }
+  } else if (gizmoState.mode === "rotate") {
+    const angle = getRingAngle(drag.center, gizmoAxes[drag.axis].dir);
+    if (angle === null) return;
+
+    let delta = angle - drag.startAngle;
+    if (snap) delta = Math.round(delta / rotationSnap) * rotationSnap;
+    const turn = new THREE.Quaternion().setFromAxisAngle(gizmoAxes[drag.axis].dir, delta);
+    tryTransform(obj, () => obj.quaternion.copy(turn).multiply(drag.startQuaternion));
+  } else if (gizmoState.mode === "scale") {
+    // axis handles follow the handle; the centre cube scales with horizontal mouse motion
+    let factor;
+    if (drag.axis === "xyz") {
+      factor = Math.exp((event.clientX - drag.startX) * 0.01);
+    } else {
+      const t = getAxisParam(drag.center, gizmoAxes[drag.axis].dir);
+      if (t === null) return;
+      factor = 1 + (t - drag.startParam) / gizmo.scale.x;
+    }
+
+    const axes = drag.axis === "xyz" ? ["x", "y", "z"] : [drag.axis];
+    tryTransform(obj, () => {
+      for (const a of axes) {
+        let value = Math.max(0.05, drag.startScale[a] * factor);
+        if (snap) value = Math.max(scaleSnap, Math.round(value / scaleSnap) * scaleSnap);
+        obj.scale[a] = value;
+      }
+    });
+  }
+}
+
+function endGizmoDrag() {
+  const obj = lastClickedObject;
+  const body = obj ? getSceneBody(obj) : null;
+
+  // a simulated object keeps falling/swinging from where it was put
+  if (body) {
+    if (gizmoState.mode === "scale") {
+      // new size: new mass properties and contact points
+      const rebuilt = createRigidBody(obj, { mass: body.mass, restitution: body.restitution, friction: body.friction });
+      Object.assign(body, {
+        shape: rebuilt.shape,
+        radius: rebuilt.radius,
+        invInertia: rebuilt.invInertia,
+        contactPoints: rebuilt.contactPoints
+      });
+    }
+    body.prevPosition.copy(obj.position);
+    body.prevQuaternion.copy(obj.quaternion);
+    wakeBody(body);
+  }
+
+  gizmoState.drag = null;
+  gizmoState.suppressClick = true;
+}
+
+// Applies a change and keeps it only if it doesn't push the object into another
+function tryTransform(obj, change) {
+  const position = obj.position.clone();
+  const quaternion = obj.quaternion.clone();
+  const scale = obj.scale.clone();
+  const bottom = obj.userData.collider.min.y;
+
+  // objects it already overlaps, and how deep: it may still move out of them
+  const overlaps = new Map();
+  for (const other of clickableObjects) {
+    if (other !== obj && objectsOverlap(obj, other)) overlaps.set(other, getOverlapVolume(obj, other));
+  }
+
+  change();
+  updateCollider(obj);
+
+  // the floor blocks too (but an object already dipping into it may still move up)
+  const floorHit = obj.userData.collider.min.y < -contactSlop && obj.userData.collider.min.y < bottom;
+  const sceneHit = clickableObjects.some(
+    (other) =>
+      other !== obj &&
+      objectsOverlap(obj, other) &&
+      (!overlaps.has(other) || getOverlapVolume(obj, other) > overlaps.get(other) + 1e-9)
+  );
+
+  if (floorHit || sceneHit) {
+    obj.position.copy(position);
+    obj.quaternion.copy(quaternion);
+    obj.scale.copy(scale);
+    updateCollider(obj);
+    return false;
+  }
+  return true;
+}
+
+// Volume shared by two objects' bounding boxes, a rough measure of how deep they overlap
+function getOverlapVolume(a, b) {
+  const box = a.userData.collider.clone().intersect(b.userData.collider);
+  if (box.isEmpty()) return 0;
+  const size = box.getSize(new THREE.Vector3());
+  return size.x * size.y * size.z;
+}
+
+// Parameter along the line center + s·dir closest to the mouse ray (null if parallel)
+function getAxisParam(center, dir) {
+  const ray = raycaster.ray;
+  const w0 = center.clone().sub(ray.origin);
+  const b = dir.dot(ray.direction);
+  const denom = 1 - b * b;
+  if (denom < 1e-4) return null;
+
+  const d = dir.dot(w0);
+  const e = ray.direction.dot(w0);
+  return (b * e - d) / denom;
+}
+
+// Angle of the mouse around dir, in the plane through center (null if edge-on)
+function getRingAngle(center, dir) {
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(dir, center);
+  const point = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+  if (!point) return null;
+
+  const u1 = new THREE.Vector3(dir.y, dir.z, dir.x); // any vector perpendicular to a unit axis
+  const u2 = new THREE.Vector3().crossVectors(dir, u1);
+  point.sub(center);
+  return Math.atan2(point.dot(u2), point.dot(u1));
+}
+
+
+/**********************************************************************
+ * RIGID BODY PHYSICS
+ * Shared by the gravity button, falling spheres and projectiles.
+ * Semi-implicit Euler for linear + angular motion, impulse-based floor
+ * contacts with restitution and Coulomb friction, then sleep at rest.
+ **********************************************************************/
+const tmpGravity = new THREE.Vector3();
+const tmpDrag = new THREE.Vector3();
+const tmpBuoyancy = new THREE.Vector3();
+
+function getGravityVector(target = new THREE.Vector3()) {
+  return target.copy(gravityPresets[currentGravityPreset].gravity);
+}
+
+function createRigidBody(mesh, options = {}) {
+  const shape = getBodyShape(mesh);
+  const density = options.density ?? defaultDensity;
+  const mass = options.mass ?? density * getShapeVolume(shape);
+
+  const inertia = getShapeInertia(shape, mass); // principal moments (local axes)
+
+  return {
+    mesh,
+    shape,
+    radius: shape.type === "sphere" ? shape.radius : getApproxRadius(mesh),
+    mass,
+    invMass: 1 / mass,
+    invInertia: new THREE.Vector3(1 / inertia.x, 1 / inertia.y, 1 / inertia.z),
+    velocity: options.velocity ? options.velocity.clone() : new THREE.Vector3(),
+    angularVelocity: options.angularVelocity
+      ? options.angularVelocity.clone()
+      : new THREE.Vector3(),
+    acceleration: options.acceleration || null, // null -> current gravity preset
+    drag: options.drag || null, // air drag + wind (see getDragSettings)
+    restitution: options.restitution ?? 0.4,
+    friction: options.friction ?? 0.5,
+    linearDamping: options.linearDamping ?? 0.01,
+    angularDamping: options.angularDamping ?? 0.05,
+    rollingResistance: options.rollingResistance ?? 1.0,
+    contactPoints: shape.type === "sphere" ? null : getContactPoints(mesh, shape),
+    // poses at the previous / latest fixed step, for render interpolation
+    prevPosition: mesh.position.clone(),
+    prevQuaternion: mesh.quaternion.clone(),
+    currPosition: mesh.position.clone(),
+    currQuaternion: mesh.quaternion.clone(),
+    // velocity at the start of the step and the resulting average acceleration (vector overlay)
+    prevVelocity: new THREE.Vector3(),
+    measuredAcceleration: new THREE.Vector3(),
+    restTimer: 0,
+    landedAt: null, // simulation time of the first floor contact
+    active: true
+  };
+}
+
+function getBodyShape(mesh) {
+  const geo = mesh.geometry;
+  const p = geo.parameters || {};
+  const s = mesh.scale;
+
+  switch (geo.type) {
+    case "SphereGeometry":
+    case "SphereBufferGeometry":
+      return { type: "sphere", radius: p.radius * Math.max(s.x, s.y, s.z) };
+
+    case "BoxGeometry":
+    case "BoxBufferGeometry":
+      return {
+        type: "box",
+        size: new THREE.Vector3(p.width * s.x, p.height * s.y, p.depth * s.z)
+      };
+
+    case "ConeGeometry":
+    case "ConeBufferGeometry":
+      return { type: "cone", radius: p.radius * s.x, height: p.height * s.y };
+
+    case "CylinderGeometry":
+    case "CylinderBufferGeometry":
+      return {
+        type: "cylinder",
+        radius: Math.max(p.radiusTop, p.radiusBottom) * s.x,
+        height: p.height * s.y
+      };
+
+    case "TorusGeometry":
+    case "TorusBufferGeometry":
+      return { type: "torus", radius: p.radius * s.x, tube: p.tube * s.x };
+
+    default: {
+      // unknown geometry: treat its local bounding box as a solid box
+      if (!geo.boundingBox) geo.computeBoundingBox();
+      const size = geo.boundingBox.getSize(new THREE.Vector3()).multiply(s);
+      return { type: "box", size };
+    }
+  }
+}
+
+function getShapeVolume(shape) {
+  switch (shape.type) {
+    case "sphere":
+      return (4 / 3) * Math.PI * shape.radius ** 3;
+    case "cone":
+      return (Math.PI * shape.radius ** 2 * shape.height) / 3;
+    case "cylinder":
+      return Math.PI * shape.radius ** 2 * shape.height;
+    case "torus":
+      return 2 * Math.PI ** 2 * shape.radius * shape.tube ** 2;
+    default:
+      return shape.size.x * shape.size.y * shape.size.z;
+  }
+}
+
+// Principal moments of inertia about the mesh origin (treated as the centre of mass)
+function getShapeInertia(shape, mass) {
+  switch (shape.type) {
+    case "sphere": {
+      const i = 0.4 * mass * shape.radius ** 2;
+      return new THREE.Vector3(i, i, i);
+    }
+    case "cone": {
+      const r2 = shape.radius ** 2;
+      const side = mass * (0.15 * r2 + 0.0375 * shape.height ** 2);
+      return new THREE.Vector3(side, 0.3 * mass * r2, side);
+    }
+    case "cylinder": {
+      const r2 = shape.radius ** 2;
+      const side = (mass * (3 * r2 + shape.height ** 2)) / 12;
+      return new THREE.Vector3(side, 0.5 * mass * r2, side);
+    }
+    case "torus": {
+      // Three.js tori lie in the XY plane, so Z is the symmetry axis
+      const R2 = shape.radius ** 2;
+      const r2 = shape.tube ** 2;
+      const side = mass * (0.5 * R2 + 0.625 * r2);
+      return new THREE.Vector3(side, side, mass * (R2 + 0.75 * r2));
+    }
+    default: {
+      const { x, y, z } = shape.size;
+      return new THREE.Vector3(
+        (mass * (y * y + z * z)) / 12,
+        (mass * (x * x + z * z)) / 12,
+        (mass * (x * x + y * y)) / 12
+      );
+    }
+  }
+}
+
+// Local-space surface samples (already scaled) used to find floor contacts
+function getContactPoints(mesh, shape) {
+  const points = [];
+  const ring = (radius, y, count) => {
+    for (let i = 0; i < count; i++) {
+      const a = (i / count) * Math.PI * 2;
+      points.push(new THREE.Vector3(Math.cos(a) * radius, y, Math.sin(a) * radius));
+    }
+  };
+
+  switch (shape.type) {
+    case "box": {
+      const h = shape.size.clone().multiplyScalar(0.5);
+      for (const sx of [-1, 1]) for (const sy of [-1, 1]) for (const sz of [-1, 1]) {
+        points.push(new THREE.Vector3(sx * h.x, sy * h.y, sz * h.z));
+      }
+      return points;
+    }
+
+    case "cone":
+      points.push(new THREE.Vector3(0, shape.height / 2, 0));
+      ring(shape.radius, -shape.height / 2, 24);
+      return points;
+
+    case "cylinder":
+      ring(shape.radius, shape.height / 2, 24);
+      ring(shape.radius, -shape.height / 2, 24);
+      return points;
+
+    case "torus":
+      // 24 samples around the ring, 8 around the tube
+      for (let i = 0; i < 24; i++) {
+        const u = (i / 24) * Math.PI * 2;
+        for (let j = 0; j < 8; j++) {
+          const v = (j / 8) * Math.PI * 2;
+          const r = shape.radius + shape.tube * Math.cos(v);
+          points.push(new THREE.Vector3(Math.cos(u) * r, Math.sin(u) * r, shape.tube * Math.sin(v)));
+        }
+      }
+      return points;
+
+    default:
+      return getVertexSamples(mesh);
+  }
+}
+
+// Fallback for other geometry: a capped sample of its (scaled) vertices
+function getVertexSamples(mesh) {
+  const unique = getUniqueVertices(mesh.geometry);
+
+  const stride = Math.max(1, Math.ceil(unique.length / maxContactPoints));
+  const points = [];
+  for (let i = 0; i < unique.length; i += stride) {
+    points.push(unique[i].multiply(mesh.scale));
+  }
+  return points;
+}
+
+// Local-space vertices of a Geometry or BufferGeometry, without the duplicated seam ones
+function getUniqueVertices(geo) {
+  const verts = [];
+
+  if (geo.vertices) {
+    geo.vertices.forEach((v) => verts.push(v.clone()));
+  } else if (geo.attributes && geo.attributes.position) {
+    const pos = geo.attributes.position;
+    for (let i = 0; i < pos.count; i++) {
+      verts.push(new THREE.Vector3().fromBufferAttribute(pos, i));
+    }
+  }
+
+  const seen = new Set();
+  return verts.filter((v) => {
+    const key = `${v.x.toFixed(3)},${v.y.toFixed(3)},${v.z.toFixed(3)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Applies the world-space inverse inertia tensor to vec (in place)
+function applyInverseInertia(body, vec) {
+  const q = body.mesh.quaternion;
+  const qInv = q.clone().conjugate();
+  return vec.applyQuaternion(qInv).multiply(body.invInertia).applyQuaternion(q);
+}
+
+function getPointVelocity(body, point, target = new THREE.Vector3()) {
+  const r = point.clone().sub(body.mesh.position);
+  return target.crossVectors(body.angularVelocity, r).add(body.velocity);
+}
+
+function applyImpulse(body, impulse, point) {
+  body.velocity.addScaledVector(impulse, body.invMass);
+
+  const r = point.clone().sub(body.mesh.position);
+  const dw = applyInverseInertia(body, new THREE.Vector3().crossVectors(r, impulse));
+  body.angularVelocity.add(dw);
+}
+
+// Inverse effective mass of the body at a point along a direction
+function getInverseEffectiveMass(body, point, dir) {
+  const r = point.clone().sub(body.mesh.position);
+  const rxd = applyInverseInertia(body, new THREE.Vector3().crossVectors(r, dir));
+  return body.invMass + dir.dot(rxd.cross(r));
+}
+
+function stepRigidBody(body, delta) {
+  if (!body.active) return;
+
+  const acc = body.orbital
+    ? getAttractorAcceleration(body.mesh.position, tmpGravity)
+    : body.acceleration || getGravityVector(tmpGravity);
+  body.velocity.addScaledVector(acc, delta);
+  if (body.drag) {
+    const dragAcc = getDragAcceleration(body.velocity, body.drag, body.radius, body.mass, tmpDrag);
+    body.velocity.addScaledVector(dragAcc, delta);
+  }
+  if (fluidTanks.length && !body.orbital) applyFluidForces(body, delta);
+  body.velocity.multiplyScalar(Math.max(0, 1 - body.linearDamping * delta));
+  body.angularVelocity.multiplyScalar(Math.max(0, 1 - body.angularDamping * delta));
+
+  body.mesh.position.addScaledVector(body.velocity, delta);
+  integrateOrientation(body.mesh.quaternion, body.angularVelocity, delta);
+
+  if (body.orbital) {
+    checkAttractorImpact(body);
+    return;
+  }
+
+  containInTanks(body);
+  const onFloor = resolveFloorContacts(body, delta);
+  if (onFloor && body.landedAt === null) {
+    body.landedAt = timeElapsed;
+    if (body.flightLog && !body.flightLog.landing) recordLanding(body);
+  }
+  const onIncline = resolveInclineContacts(body, delta);
+  updateSleepState(body, onFloor || onIncline, delta);
+}
+
+// q += 0.5 * (0, ω) * q * dt
+function integrateOrientation(q, w, delta) {
+  const spin = new THREE.Quaternion(w.x, w.y, w.z, 0).multiply(q);
+  const h = 0.5 * delta;
+  q.set(q.x + spin.x * h, q.y + spin.y * h, q.z + spin.z * h, q.w + spin.w * h);
+  q.normalize();
+}
+
+// margin > 0 also counts a body resting just on the floor (after it was pushed out)
+function getFloorContacts(body, margin = 0) {
+  const pos = body.mesh.position;
+  const contacts = [];
+
+  if (!body.contactPoints) {
+    const depth = body.radius - pos.y; // plane at y=0
+    if (depth > -margin) {
+      contacts.push({ point: new THREE.Vector3(pos.x, 0, pos.z), depth });
+    }
+    return contacts;
+  }
+
+  let lowest = Infinity;
+  const world = body.contactPoints.map((local) => {
+    const p = local.clone().applyQuaternion(body.mesh.quaternion).add(pos);
+    lowest = Math.min(lowest, p.y);
+    return p;
+  });
+  if (lowest >= margin) return contacts;
+
+  // every sample within contactSlop of the lowest one belongs to the patch,
+  // so a face resting flat keeps all its corners in contact
+  for (const p of world) {
+    if (p.y < lowest + contactSlop) {
+      contacts.push({ depth: Math.max(0, -p.y), point: p.setY(0) });
+    }
+  }
+  return contacts;
+}
+
+const FLOOR_NORMAL = new THREE.Vector3(0, 1, 0);
+
+function resolveFloorContacts(body, delta) {
+  const contacts = getFloorContacts(body);
+  if (contacts.length === 0) return false;
+
+  // Solve the contact patch at its centroid: a face resting flat gets no
+  // spurious torque, while an edge or corner still tips the body over.
+  const centroid = new THREE.Vector3();
+  let maxDepth = 0;
+  for (const c of contacts) {
+    centroid.add(c.point);
+    maxDepth = Math.max(maxDepth, c.depth);
+  }
+  centroid.divideScalar(contacts.length);
+
+  for (let iter = 0; iter < contactIterations; iter++) {
+    resolveContact(body, null, centroid, FLOOR_NORMAL, body.restitution, body.friction);
+  }
+
+  // push the body back out of the floor
+  body.mesh.position.y += maxDepth;
+
+  // rolling resistance so rolling bodies eventually stop
+  body.angularVelocity.multiplyScalar(Math.max(0, 1 - body.rollingResistance * delta));
+
+  return true;
+}
+
+// Impulse between body a and body b (null = immovable) at a contact point.
+// The normal points from b towards a.
+// friction is the kinetic coefficient; staticFriction (default: the same)
+// decides whether the contact can stick
+function resolveContact(a, b, point, normal, restitution, friction, staticFriction = friction) {
+  const vRel = getRelativeVelocity(a, b, point);
+  const vn = vRel.dot(normal);
+  if (vn >= 0) return 0; // separating
+
+  // Normal impulse (no bounce for slow, resting contacts)
+  const e = vn < -restingSpeed ? restitution : 0;
+  const kn =
+    getInverseEffectiveMass(a, point, normal) +
+    (b ? getInverseEffectiveMass(b, point, normal) : 0);
+  const jn = (-(1 + e) * vn) / kn;
+  applyImpulsePair(a, b, normal.clone().multiplyScalar(jn), point);
+
+  // Friction impulse, clamped by the Coulomb cone |jt| <= mu * jn
+  getRelativeVelocity(a, b, point, vRel);
+  const tangent = vRel.addScaledVector(normal, -vRel.dot(normal));
+  const vt = tangent.length();
+  if (vt < 1e-6) return jn;
+  tangent.divideScalar(vt);
+
+  const kt =
+    getInverseEffectiveMass(a, point, tangent) +
+    (b ? getInverseEffectiveMass(b, point, tangent) : 0);
+  const jt = vt / kt <= staticFriction * jn ? vt / kt : friction * jn;
+  applyImpulsePair(a, b, tangent.multiplyScalar(-jt), point);
+
+  return jn;
+}
+
+function getRelativeVelocity(a, b, point, target = new THREE.Vector3()) {
+  getPointVelocity(a, point, target);
+  if (b) target.sub(getPointVelocity(b, point));
+  return target;
+}
+
+function applyImpulsePair(a, b, impulse, point) {
+  applyImpulse(a, impulse, point);
+  if (b) applyImpulse(b, impulse.clone().negate(), point);
+}
+
+function updateSleepState(body, inContact, delta) {
+  const resting =
+    inContact &&
+    body.velocity.length() < sleepLinearSpeed &&
+    body.angularVelocity.length() < sleepAngularSpeed;
+
+  if (!resting) {
+    body.restTimer = 0;
+    return;
+  }
+
+  body.restTimer += delta;
+  if (body.restTimer > sleepDelay) {
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.active = false;
+  }
+}
+
+
+/**********************************************************************
+ * BODY-VS-BODY COLLISIONS
+ * Spawned spheres and projectiles collide with each other and with the
+ * scene objects: sphere–sphere, sphere–box (against userData.collider)
+ * and sphere–cone. Simulated boxes also collide box–box with each other
+ * and with the static boxes. Scene objects are immovable unless the gravity
+ * button is currently driving them, in which case momentum is exchanged.
+ **********************************************************************/
+const sceneRestitution = 0.5; // bounciness of the static scene objects
+
+function resolveBodyCollisions() {
+  const spheres = [...dynamicBodies, ...projectiles];
+  for (const body of [...gravityBodies.values(), ...jointBodies.values()]) {
+    if (body.shape.type === "sphere") spheres.push(body);
+  }
+
+  // sphere–sphere between simulated bodies
+  for (let i = 0; i < spheres.length; i++) {
+    for (let j = i + 1; j < spheres.length; j++) {
+      const a = spheres[i];
+      const b = spheres[j];
+      if (!a.active && !b.active) continue;
+      collideSpheres(a, b);
+    }
+  }
+
+  // simulated spheres against the scene objects
+  for (const body of spheres) {
+    for (const obj of clickableObjects) {
+      if (obj === body.mesh) continue;
+
+      // the object under gravity (or in a joint) is a body in its own right
+      const partner = getSceneBody(obj);
+      if (partner && spheres.includes(partner)) continue; // handled sphere–sphere
+      if (!body.active && !partner) continue;
+
+      const contact = getSphereObjectContact(body, obj);
+
+      // projectiles launched from inside an object pass out of it first
+      if (body.spawnOverlaps && body.spawnOverlaps.has(obj)) {
+        if (!contact) body.spawnOverlaps.delete(obj);
+        continue;
+      }
+
+      // built objects bring their own restitution and friction
+      const physics = obj.userData.physics;
+      if (contact) {
+        applyCollision(
+          body,
+          partner,
+          contact,
+          physics ? physics.restitution : sceneRestitution,
+          physics ? physics.friction : body.friction
+        );
+      }
+    }
+  }
+
+  // simulated boxes (dominoes, tower blocks) against each other and the static boxes.
+  // The contacts are solved together several times over, so a stack carries its weight
+  const boxes = [...gravityBodies.values(), ...jointBodies.values()].filter(
+    (body) => body.shape.type === "box" && body.mesh.userData.collisionShape.type === "obb"
+  );
+  const boxContacts = [];
+  boxes.forEach((body, i) => {
+    for (const obj of clickableObjects) {
+      const shape = obj.userData.collisionShape;
+      if (obj === body.mesh || !shape || shape.type !== "obb") continue;
+
+      // spheres were handled above; each box pair is solved once
+      const partner = getSceneBody(obj);
+      if (partner && boxes.indexOf(partner) <= i) continue;
+      if (!body.active && !(partner && partner.active)) continue;
+      if (!body.mesh.userData.collider.intersectsBox(obj.userData.collider)) continue;
+
+      const contact = getBoxBoxContact(body.mesh.userData.collisionShape, shape);
+      if (!contact) continue;
+      const physics = obj.userData.physics;
+      boxContacts.push({
+        a: body,
+        b: partner,
+        contact,
+        restitution: Math.min(body.restitution, physics ? physics.restitution : sceneRestitution),
+        friction: Math.sqrt(body.friction * (partner ? partner.friction : physics ? physics.friction : body.friction))
+      });
+    }
+  });
+
+  // boxes touching others solve their floor contact here too, so the floor carries a stack
+  const touching = new Set(boxContacts.flatMap((c) => [c.a, c.b]));
+  for (const body of boxes) {
+    if (!touching.has(body)) continue;
+    const floor = getFloorContacts(body, contactSlop);
+    if (!floor.length) continue;
+    const point = floor.reduce((sum, c) => sum.add(c.point), new THREE.Vector3()).divideScalar(floor.length);
+    boxContacts.push({
+      a: body,
+      b: null,
+      contact: { point, normal: FLOOR_NORMAL, depth: 0 },
+      restitution: body.restitution,
+      friction: body.friction
+    });
+  }
+
+  for (let iter = 0; iter < boxContactIterations; iter++) {
+    for (const { a, b, contact, restitution, friction } of boxContacts) {
+      if (resolveContact(a, b, contact.point, contact.normal, restitution, friction) > 0) {
+        wakeBody(a);
+        if (b) wakeBody(b);
+      }
+    }
+  }
+  for (const { a, b, contact } of boxContacts) separateBodies(a, b, contact);
+}
+
+// Contact between two oriented boxes touching within contactSlop, normal from b
+// towards a (depth < 0 while they only touch). Separating axes: the 6 face axes,
+// then the 9 edge × edge axes.
+// On a face axis, the other box touches that face with a corner, an edge or a
+// face (its corners within contactSlop of the deepest); the contact point is the
+// middle of that feature clipped to the face, so a face resting on a face is
+// solved at its centre like a floor patch. On an edge axis (two tilted boxes
+// crossing edge to edge) it is the closest point between the two edges.
+function getBoxBoxContact(a, b) {
+  const offset = a.center.clone().sub(b.center);
+  const normal = new THREE.Vector3();
+  let depth = Infinity;
+  let reference = null;
+
+  for (const [shape, axes] of [[a, a.axes], [b, b.axes]]) {
+    for (const axis of axes) {
+      const distance = offset.dot(axis);
+      const overlap = getObbExtent(a, axis) + getObbExtent(b, axis) - Math.abs(distance);
+      if (overlap < -contactSlop) return null;
+      if (overlap < depth) {
+        depth = overlap;
+        normal.copy(axis).multiplyScalar(distance < 0 ? -1 : 1);
+        reference = shape;
+      }
+    }
+  }
+
+  // an edge axis only wins when clearly shallower, so resting faces keep their patch
+  let edges = null;
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      const axis = new THREE.Vector3().crossVectors(a.axes[i], b.axes[j]);
+      if (axis.lengthSq() < 1e-6) continue; // parallel edges: covered by the face axes
+      axis.normalize();
+      const distance = offset.dot(axis);
+      const overlap = getObbExtent(a, axis) + getObbExtent(b, axis) - Math.abs(distance);
+      if (overlap < -contactSlop) return null;
+      if (overlap < depth - contactSlop) {
+        depth = overlap;
+        normal.copy(axis).multiplyScalar(distance < 0 ? -1 : 1);
+        edges = [i, j];
+      }
+    }
+  }
+  if (edges) return { point: getEdgeContactPoint(a, edges[0], b, edges[1], normal), normal, depth };
+
+  // outward normal of the reference face, towards the incident box
+  const incident = reference === b ? a : b;
+  const outward = reference === b ? normal.clone() : normal.clone().negate();
+
+  const corners = getObbCorners(incident);
+  const deepest = Math.min(...corners.map((c) => c.dot(outward)));
+  const feature = corners.filter((c) => c.dot(outward) < deepest + contactSlop);
+
+  const point = reference.center.clone().addScaledVector(outward, getObbExtent(reference, outward));
+  reference.axes.forEach((axis, i) => {
+    if (Math.abs(axis.dot(outward)) > 0.5) return; // the face normal itself
+    const half = reference.half.getComponent(i);
+    const along = feature.map((c) => c.clone().sub(reference.center).dot(axis));
+    const lo = Math.max(Math.min(...along), -half);
+    const hi = Math.min(Math.max(...along), half);
+    point.addScaledVector(axis, THREE.MathUtils.clamp((lo + hi) / 2, -half, half));
+  });
+
+  return { point, normal, depth };
+}
+
+// Midpoint of the closest points between a's edge along axis i and b's edge along
+// axis j, taking the edges of each box that face the other across the normal
+function getEdgeContactPoint(a, i, b, j, normal) {
+  const edgeMiddle = (shape, k, towards) => {
+    const middle = shape.center.clone();
+    shape.axes.forEach((axis, m) => {
+      if (m !== k) middle.addScaledVector(axis, Math.sign(axis.dot(towards)) * shape.half.getComponent(m));
+    });
+    return middle;
+  };
+  const pa = edgeMiddle(a, i, normal.clone().negate());
+  const pb = edgeMiddle(b, j, normal);
+  const da = a.axes[i];
+  const db = b.axes[j];
+
+  // closest points of the lines pa + s·da and pb + t·db, kept on the edges
+  const r = pa.clone().sub(pb);
+  const d = da.dot(db);
+  const e = da.dot(r);
+  const f = db.dot(r);
+  const halfA = a.half.getComponent(i);
+  const halfB = b.half.getComponent(j);
+  const s = THREE.MathUtils.clamp((d * f - e) / (1 - d * d), -halfA, halfA);
+  const t = THREE.MathUtils.clamp(f + d * s, -halfB, halfB);
+
+  return pa.addScaledVector(da, s).add(pb.addScaledVector(db, t)).multiplyScalar(0.5);
 }
 
+// Half the length of an oriented box's shadow on a unit axis
+function getObbExtent(shape, axis) {
+  return shape.axes.reduce((sum, a, i) => sum + Math.abs(a.dot(axis)) * shape.half.getComponent(i), 0);
+}
 
-/**********************************************************************
- * TOGGLE GLASS MODE (CONE)
- **********************************************************************/
-function toggleGlassMode() {
-  if (!energyCone) return;
+function getObbCorners(shape) {
+  const corners = [];
+  for (const sx of [-1, 1]) for (const sy of [-1, 1]) for (const sz of [-1, 1]) {
+    corners.push(
+      shape.center
+        .clone()
+        .addScaledVector(shape.axes[0], sx * shape.half.x)
+        .addScaledVector(shape.axes[1], sy * shape.half.y)
+        .addScaledVector(shape.axes[2], sz * shape.half.z)
+    );
+  }
+  return corners;
+}
 
-  if (!coneIsGlass) {
-    // Switch to glass-like material
-    const glassMat = new THREE.MeshPhysicalMaterial
-      ? new THREE.MeshPhysicalMaterial({
-          color: 0xffffff,
-          metalness: 0,
-          roughness: 0.05,
-          transmission: 0.9,
-          transparent: true,
-          opacity: 0.9,
-          clearcoat: 1.0,
-          clearcoatRoughness: 0.1
-        })
-      : new THREE.MeshStandardMaterial({
-          color: 0xffffff,
-          metalness: 0,
-          roughness: 0.05,
-          transparent: true,
-          opacity: 0.5
-        });
+function collideSpheres(a, b) {
+  const delta = a.mesh.position.clone().sub(b.mesh.position);
+  const dist = delta.length();
+  const minDist = a.radius + b.radius;
+  if (dist >= minDist || dist < 1e-6) return;
 
-    energyCone.material = glassMat;
-    coneIsGlass = true;
+  const normal = delta.divideScalar(dist); // b -> a
+  const point = b.mesh.position.clone().addScaledVector(normal, b.radius);
+  applyCollision(a, b, { point, normal, depth: minDist - dist }, b.restitution);
+}
+
+function applyCollision(a, b, contact, otherRestitution, otherFriction = a.friction) {
+  const restitution = Math.min(a.restitution, otherRestitution);
+  const friction = Math.sqrt(a.friction * (b ? b.friction : otherFriction));
+  const jn = resolveContact(a, b, contact.point, contact.normal, restitution, friction);
+  separateBodies(a, b, contact);
+
+  if (jn > 0) {
+    wakeBody(a);
+    if (b) wakeBody(b);
+  }
+}
+
+// Pushes the pair apart along the contact normal in proportion to their inverse masses
+function separateBodies(a, b, contact) {
+  const invA = a.invMass;
+  const invB = b ? b.invMass : 0;
+  const share = Math.max(0, contact.depth) / (invA + invB);
+  a.mesh.position.addScaledVector(contact.normal, share * invA);
+  if (b) b.mesh.position.addScaledVector(contact.normal, -share * invB);
+}
+
+// Rigid body currently driving a scene object, if any
+function getSceneBody(obj) {
+  return gravityBodies.get(obj) || jointBodies.get(obj) || null;
+}
+
+function wakeBody(body) {
+  body.active = true;
+  body.restTimer = 0;
+}
+
+// Contact between a simulated sphere and a scene object, or null
+function getSphereObjectContact(body, obj) {
+  const shape = getBodyShape(obj);
+
+  if (shape.type === "sphere") {
+    const delta = body.mesh.position.clone().sub(obj.position);
+    const dist = delta.length();
+    const minDist = body.radius + shape.radius;
+    if (dist >= minDist || dist < 1e-6) return null;
+
+    const normal = delta.divideScalar(dist);
+    const point = obj.position.clone().addScaledVector(normal, shape.radius);
+    return { point, normal, depth: minDist - dist };
+  }
+
+  if (shape.type === "cone") return getSphereConeContact(body, obj, shape);
+
+  // inclines are solved in stepRigidBody, with their own friction on the slope
+  if (obj.userData.incline) return null;
+
+  const collision = obj.userData.collisionShape;
+  if (collision && collision.type === "obb") return getSphereObbContact(body, collision);
+  if (collision && collision.type === "capsule") return getSphereCapsuleContact(body, collision);
+  if (collision && collision.type === "hull") return getSphereHullContact(body, collision);
+  return null;
+}
+
+// Closest point of the box to the sphere centre, worked out in the box's own axes
+function getSphereObbContact(body, obb) {
+  const center = body.mesh.position;
+  const d = center.clone().sub(obb.center);
+  const local = obb.axes.map((axis) => d.dot(axis));
+  const half = obb.half.toArray();
+
+  const closest = obb.center.clone();
+  obb.axes.forEach((axis, i) => {
+    closest.addScaledVector(axis, THREE.MathUtils.clamp(local[i], -half[i], half[i]));
+  });
+  const delta = center.clone().sub(closest);
+  const dist = delta.length();
+
+  if (dist > 1e-6) {
+    if (dist >= body.radius) return null;
+    return { point: closest, normal: delta.divideScalar(dist), depth: body.radius - dist };
+  }
+
+  // centre inside the box: push out through the nearest face
+  let face = 0;
+  for (let i = 1; i < 3; i++) {
+    if (half[i] - Math.abs(local[i]) < half[face] - Math.abs(local[face])) face = i;
+  }
+  const gap = half[face] - Math.abs(local[face]);
+  const normal = obb.axes[face].clone().multiplyScalar(local[face] >= 0 ? 1 : -1);
+  return {
+    point: center.clone().addScaledVector(normal, gap),
+    normal,
+    depth: body.radius + gap
+  };
+}
+
+function getSphereCapsuleContact(body, capsule) {
+  const center = body.mesh.position;
+  const seg = capsule.end.clone().sub(capsule.start);
+  const t = THREE.MathUtils.clamp(center.clone().sub(capsule.start).dot(seg) / Math.max(seg.lengthSq(), 1e-12), 0, 1);
+  const onAxis = capsule.start.clone().addScaledVector(seg, t);
+
+  const delta = center.clone().sub(onAxis);
+  const dist = delta.length();
+  const minDist = body.radius + capsule.radius;
+  if (dist >= minDist || dist < 1e-6) return null;
+
+  const normal = delta.divideScalar(dist);
+  return {
+    point: onAxis.addScaledVector(normal, capsule.radius),
+    normal,
+    depth: minDist - dist
+  };
+}
+
+// Closest point of a convex hull: the centre projected onto a face when that lands
+// inside the face, else the nearest point on an edge. A centre inside the hull is
+// pushed out through the nearest face.
+function getSphereHullContact(body, hull) {
+  if (hull.planes.length === 0) return null;
+
+  const center = body.mesh.position;
+  const distances = hull.planes.map((plane) => plane.distanceToPoint(center));
+  const outside = Math.max(...distances);
+  if (outside >= body.radius) return null;
+
+  if (outside <= 0) {
+    const normal = hull.planes[distances.indexOf(outside)].normal.clone();
+    return {
+      point: center.clone().addScaledVector(normal, -outside),
+      normal,
+      depth: body.radius - outside
+    };
+  }
+
+  let closest = null;
+  let best = Infinity;
+  const consider = (point) => {
+    const d = point.distanceToSquared(center);
+    if (d < best) {
+      best = d;
+      closest = point;
+    }
+  };
+
+  hull.planes.forEach((plane, i) => {
+    if (distances[i] <= 0) return;
+    const point = plane.projectPoint(center, new THREE.Vector3());
+    if (hull.planes.every((other) => other === plane || other.distanceToPoint(point) < 1e-9)) consider(point);
+  });
+  const edge = new THREE.Line3();
+  for (const [i, j] of hull.edges) {
+    edge.set(hull.points[i], hull.points[j]);
+    consider(edge.closestPointToPoint(center, true, new THREE.Vector3()));
+  }
+
+  const delta = center.clone().sub(closest);
+  const dist = delta.length();
+  if (dist >= body.radius || dist < 1e-6) return null;
+  return { point: closest, normal: delta.divideScalar(dist), depth: body.radius - dist };
+}
+
+// Works in the cone's (radial, height) half-plane, where the solid cone is
+// the triangle apex (0, h/2), rim (R, -h/2), base centre (0, -h/2).
+function getSphereConeContact(body, cone, shape) {
+  const q = cone.quaternion;
+  const local = body.mesh.position.clone().sub(cone.position).applyQuaternion(q.clone().conjugate());
+
+  const rho = Math.hypot(local.x, local.z);
+  const h2 = shape.height / 2;
+  const p = new THREE.Vector2(rho, local.y);
+  const apex = new THREE.Vector2(0, h2);
+  const rim = new THREE.Vector2(shape.radius, -h2);
+  const base = new THREE.Vector2(0, -h2);
+
+  const onSlant = closestPointOnSegment2D(p, apex, rim);
+  const onBase = closestPointOnSegment2D(p, base, rim);
+  const dSlant = p.distanceTo(onSlant);
+  const dBase = p.distanceTo(onBase);
+  const closest = dSlant < dBase ? onSlant : onBase;
+  const dist = Math.min(dSlant, dBase);
+
+  const inside = local.y >= -h2 && local.y <= h2 && rho <= (shape.radius * (h2 - local.y)) / shape.height;
+  if (!inside && dist >= body.radius) return null;
+
+  // outward normal in the half-plane
+  let n2;
+  if (dist > 1e-6) {
+    n2 = p.clone().sub(closest).divideScalar(dist);
+    if (inside) n2.negate();
   } else {
-    // Restore original solid material
-    energyCone.material = coneOriginalMaterial;
-    coneIsGlass = false;
+    n2 = dSlant < dBase
+      ? new THREE.Vector2(shape.height, shape.radius).normalize()
+      : new THREE.Vector2(0, -1);
   }
+
+  // back to 3D
+  const radial = rho > 1e-6
+    ? new THREE.Vector3(local.x / rho, 0, local.z / rho)
+    : new THREE.Vector3(1, 0, 0);
+  const normal = radial.clone().multiplyScalar(n2.x).setY(n2.y).applyQuaternion(q).normalize();
+  const point = radial
+    .multiplyScalar(closest.x)
+    .setY(closest.y)
+    .applyQuaternion(q)
+    .add(cone.position);
+
+  return { point, normal, depth: inside ? body.radius + dist : body.radius - dist };
+}
+
+function closestPointOnSegment2D(p, a, b) {
+  const ab = b.clone().sub(a);
+  const t = THREE.MathUtils.clamp(p.clone().sub(a).dot(ab) / ab.lengthSq(), 0, 1);
+  return a.clone().addScaledVector(ab, t);
 }
 
+
 /**********************************************************************
- * SPEED BUTTON
+ * EXPLOSIONS – radial impulses from a clicked point
  **********************************************************************/
-function onApplySpeedClick() {
-  if (!speedInput || !speedTargetSelect) return;
+function getExplosionSettings() {
+  const read = (input, fallback, min, max) => {
+    const v = parseFloat(input.value);
+    return isNaN(v) ? fallback : Math.min(Math.max(v, min), max);
+  };
 
-  let val = parseFloat(speedInput.value);
-  if (isNaN(val) || val < 0) val = 0;
+  return {
+    strength: read(explosionStrengthInput, 200, 0, 1e6),
+    radius: read(explosionRadiusInput, 4, 0.1, 100),
+    falloff: explosionFalloffSelect.value
+  };
+}
 
-  const target = speedTargetSelect.value; // sphere | torus | cube | all
+function armExplosion() {
+  cancelMeasureTool();
+  explosionState.placing = true;
+  explosionInfoLabel.textContent = "Click an object or the floor to set off the explosion (Esc disarms).";
+}
 
-  if (target === "sphere" || target === "all") speedFactors.sphere = val;
-  if (target === "torus" || target === "all") speedFactors.torus = val;
-  if (target === "cube" || target === "all") speedFactors.cube = val;
+function disarmExplosion() {
+  explosionState.placing = false;
+  explosionInfoLabel.textContent = "Explosion disarmed.";
 }
 
-/**********************************************************************
- * RESIZE
- **********************************************************************/
-function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
-  camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
+// Share of the full impulse at distance d from the blast
+function getExplosionFalloff(type, d, radius) {
+  if (d >= radius) return 0;
+  switch (type) {
+    case "constant":
+      return 1;
+    case "inverseSquare":
+      return Math.min(1, (explosionCoreRadius / Math.max(d, 1e-6)) ** 2);
+    default:
+      return 1 - d / radius;
+  }
+}
+
+function applyRadialImpulse(point, { strength, radius, falloff }) {
+  // scene objects in range start moving under gravity; the wall and inclines stay put
+  for (const obj of clickableObjects) {
+    if (obj === wall || obj.userData.incline || getSceneBody(obj)) continue;
+    if (obj.userData.collider.distanceToPoint(point) < radius) startGravity(obj);
+  }
+
+  // through each body's centre, so it adds momentum but no spin
+  const total = new THREE.Vector3();
+  let pushed = 0;
+  let sum = 0;
+  for (const body of getSimulatedBodies()) {
+    const direction = body.mesh.position.clone().sub(point);
+    const distance = Math.max(0, direction.length() - body.radius);
+    const share = getExplosionFalloff(falloff, distance, radius);
+    if (share <= 0) continue;
+
+    // a blast right at the centre throws the body straight up
+    if (direction.lengthSq() < 1e-8) direction.set(0, 1, 0);
+    const impulse = direction.normalize().multiplyScalar(strength * share);
+    applyImpulse(body, impulse, body.mesh.position);
+    wakeBody(body);
+
+    total.add(impulse);
+    sum += impulse.length();
+    pushed++;
+  }
+
+  addExplosionFlash(point, radius);
+  explosionInfoLabel.textContent = pushed
+    ? `Pushed ${pushed} bod${pushed > 1 ? "ies" : "y"}: Σ|J| = ${sum.toFixed(1)} N·s, |ΣJ| = ${total.length().toFixed(1)} N·s (momentum added).`
+    : "Nothing within range.";
+}
+
+function addExplosionFlash(point, radius) {
+  const mesh = new THREE.Mesh(
+    new THREE.SphereGeometry(radius, 24, 16),
+    new THREE.MeshBasicMaterial({ color: 0xff922b, transparent: true, opacity: 0.5, depthWrite: false })
+  );
+  mesh.position.copy(point);
+  mesh.scale.setScalar(0.1);
+  scene.add(mesh);
+  explosionFlashes.push({ mesh, age: 0 });
+}
+
+// The blast sphere grows to the radius and fades (real time, so it also plays while paused)
+function updateExplosionFlashes(delta) {
+  for (let i = explosionFlashes.length - 1; i >= 0; i--) {
+    const flash = explosionFlashes[i];
+    flash.age += delta;
+    const t = flash.age / explosionFlashTime;
+    if (t >= 1) {
+      scene.remove(flash.mesh);
+      flash.mesh.geometry.dispose();
+      flash.mesh.material.dispose();
+      explosionFlashes.splice(i, 1);
+      continue;
+    }
+    flash.mesh.scale.setScalar(0.1 + 0.9 * t);
+    flash.mesh.material.opacity = 0.5 * (1 - t);
+  }
 }
 
+
 /**********************************************************************
- * MOVEMENT + COLLISION WITH OBJECTS
+ * JOINTS – springs, rods, ropes and hinges between objects
+ *
+ * Each end is { body, local }: a point fixed in the body's frame, or a
+ * fixed world point when body is null (anchors and the static wall).
  **********************************************************************/
+function onPickJointStart() {
+  if (!lastClickedObject) {
+    alert("Click the first object, then press Pick First.");
+    return;
+  }
+  jointState.pending = lastClickedObject;
+  jointInfoLabel.textContent =
+    `First: ${getObjectLabel(lastClickedObject)} – now select the second object and press Connect.`;
+}
 
-function getApproxRadius(object) {
-  const box = new THREE.Box3().setFromObject(object);
-  const size = box.getSize(new THREE.Vector3());
-  return size.length() * 0.5; // half of the diagonal as a rough radius
+function onConnectJoint() {
+  const first = jointState.pending;
+  const second = lastClickedObject;
+  if (!first || !second || first === second) {
+    alert("Pick a first object, then select a different second object.");
+    return;
+  }
+  if (first === wall && second === wall) return;
+
+  const type = jointTypeSelect.value;
+  const posA = first.position.clone();
+  const posB = second.position.clone();
+
+  // the wall stays put: its end sits on the wall surface nearest the other object
+  if (first === wall) posA.copy(wall.userData.collider.clampPoint(posB, new THREE.Vector3()));
+  if (second === wall) posB.copy(wall.userData.collider.clampPoint(posA, new THREE.Vector3()));
+
+  // a hinge pivots about the point halfway between the two objects
+  const pivot = posA.clone().add(posB).multiplyScalar(0.5);
+  const endA = createJointEnd(first, type === "hinge" ? pivot : posA);
+  const endB = createJointEnd(second, type === "hinge" ? pivot : posB);
+
+  addJoint(type, endA, endB);
+  jointState.pending = null;
 }
 
+function onAnchorJoint() {
+  if (!lastClickedObject || lastClickedObject === wall) {
+    alert("Click an object to hang, then press Hang from Anchor.");
+    return;
+  }
 
-function updateLastClickedMovement(delta) {
-  if (!lastClickedObject) return;
+  let height = parseFloat(jointAnchorHeightInput.value);
+  if (isNaN(height) || height <= 0) height = 3;
 
-  const speed = moveSpeed * delta;
+  const type = jointTypeSelect.value;
+  const anchor = lastClickedObject.position.clone();
+  anchor.y += height;
 
-  // Camera-relative directions
-  const forward = new THREE.Vector3();
-  camera.getWorldDirection(forward);
-  forward.y = 0;
-  forward.normalize();
+  // a hinge pendulum swings from the anchor, so it is attached there
+  const endA = createJointEnd(lastClickedObject, type === "hinge" ? anchor : lastClickedObject.position);
+  const endB = { body: null, local: anchor };
+  addJoint(type, endA, endB);
+}
 
-  const right = new THREE.Vector3()
-    .crossVectors(forward, new THREE.Vector3(0, 1, 0))
-    .normalize();
+// Turns a scene object into a joint body (unless it is the wall) and pins a point on it
+function createJointEnd(obj, worldPoint) {
+  if (obj === wall) return { body: null, local: worldPoint.clone() };
 
-  const moveDir = new THREE.Vector3();
-  if (moveInput.forward) moveDir.add(forward);
-  if (moveInput.back) moveDir.sub(forward);
-  if (moveInput.left) moveDir.sub(right);
-  if (moveInput.right) moveDir.add(right);
+  const body = getJointBody(obj);
+  const local = worldPoint.clone().sub(obj.position).applyQuaternion(obj.quaternion.clone().conjugate());
+  return { body, local };
+}
 
-  if (moveDir.lengthSq() === 0) return;
-  moveDir.normalize();
+function getJointBody(obj) {
+  let body = jointBodies.get(obj);
+  if (body) return body;
 
-  const displacement = moveDir.multiplyScalar(speed);
+  // an object already falling under gravity keeps its body
+  body = gravityBodies.get(obj);
+  if (body) {
+    gravityBodies.delete(obj);
+  } else {
+    let mass = parseFloat(jointMassInput.value);
+    if (isNaN(mass) || mass <= 0) mass = 1;
+    body = createRigidBody(obj, { mass, restitution: 0.35, friction: 0.5, ...obj.userData.physics });
+  }
 
-  // --- AXIS SEPARATED MOVEMENT (KEY PART) ---
-  const axes = ["x", "z"];
+  jointBodies.set(obj, body);
+  setAnimationPaused(obj, true);
+  return body;
+}
 
-  for (const axis of axes) {
-    lastClickedObject.position[axis] += displacement[axis];
-    updateCollider(lastClickedObject);
+// settings not given in `overrides` come from the panel inputs
+function addJoint(type, a, b, overrides = {}) {
+  const pA = getJointEndPoint(a);
+  const pB = getJointEndPoint(b);
+
+  let restLength = overrides.restLength ?? parseFloat(jointRestInput.value);
+  if (isNaN(restLength) || restLength < 0) restLength = pA.distanceTo(pB);
+
+  let stiffness = overrides.stiffness ?? parseFloat(jointStiffnessInput.value);
+  if (isNaN(stiffness) || stiffness < 0) stiffness = 40;
+  let damping = overrides.damping ?? parseFloat(jointDampingInput.value);
+  if (isNaN(damping) || damping < 0) damping = 0.5;
+
+  // hinge axis: horizontal and pointing away from the camera, so it swings across the screen
+  let axis = overrides.axis ? overrides.axis.clone() : null;
+  if (type === "hinge" && !axis) {
+    const forward = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+    if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+    axis = forward.normalize();
+    if (b.body) axis.applyQuaternion(b.body.mesh.quaternion.clone().conjugate());
+  }
 
-    let collided = false;
+  const points = type === "spring" ? springCoils * 2 + 2 : 2;
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(points * 3), 3));
+  const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: jointColors[type] }));
+  line.frustumCulled = false;
+  scene.add(line);
+
+  let marker = null;
+  if (!b.body) {
+    marker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.08, 12, 8),
+      new THREE.MeshBasicMaterial({ color: jointColors[type] })
+    );
+    marker.position.copy(b.local);
+    scene.add(marker);
+  }
 
-    for (const other of clickableObjects) {
-      if (other === lastClickedObject) continue;
+  const joint = { type, a, b, restLength, stiffness, damping, axis, line, marker };
+  joints.push(joint);
 
-      if (
-        lastClickedObject.userData.collider.intersectsBox(
-          other.userData.collider
-        )
-      ) {
-        collided = true;
-        break;
-      }
+  if (a.body) wakeBody(a.body);
+  if (b.body) wakeBody(b.body);
+  updateJointLines();
+  updateJointInfo();
+  return joint;
+}
+
+function removeJoint(joint) {
+  if (!joint) return;
+
+  joints.splice(joints.indexOf(joint), 1);
+  scene.remove(joint.line);
+  joint.line.geometry.dispose();
+  if (joint.marker) {
+    scene.remove(joint.marker);
+    joint.marker.geometry.dispose();
+  }
+
+  // objects in no other joint go back to their normal animation
+  for (const end of [joint.a, joint.b]) {
+    if (!end.body) continue;
+    const stillUsed = joints.some((j) => j.a.body === end.body || j.b.body === end.body);
+    if (!stillUsed) {
+      jointBodies.delete(end.body.mesh);
+      setAnimationPaused(end.body.mesh, false);
     }
+  }
+  updateJointInfo();
+}
 
-    if (collided) {
-      // undo movement on this axis only
-      lastClickedObject.position[axis] -= displacement[axis];
-      updateCollider(lastClickedObject);
+function clearJoints() {
+  while (joints.length) removeJoint(joints[joints.length - 1]);
+  jointState.pending = null;
+}
+
+function updateJointInfo() {
+  const counts = {};
+  for (const j of joints) counts[j.type] = (counts[j.type] || 0) + 1;
+  const parts = Object.keys(counts).map((t) => `${counts[t]} ${t}${counts[t] > 1 ? "s" : ""}`);
+  jointInfoLabel.textContent = parts.length ? `Joints: ${parts.join(", ")}` : "No joints.";
+}
+
+function getJointEndPoint(end, target = new THREE.Vector3()) {
+  if (!end.body) return target.copy(end.local);
+  const mesh = end.body.mesh;
+  return target.copy(end.local).applyQuaternion(mesh.quaternion).add(mesh.position);
+}
+
+function solveJoints(delta) {
+  if (joints.length === 0) return;
+
+  // springs are forces: one impulse per sub-step
+  for (const joint of joints) {
+    if (joint.type === "spring") applySpringImpulse(joint, delta);
+  }
+
+  // rods, ropes and hinges are hard constraints: iterate velocities, then fix drift
+  for (let i = 0; i < jointIterations; i++) {
+    for (const joint of joints) {
+      if (joint.type === "rod" || joint.type === "rope") solveDistanceJoint(joint);
+      else if (joint.type === "hinge") solveHingeJoint(joint);
+    }
+  }
+}
+
+function applySpringImpulse(joint, delta) {
+  const { a, b } = joint;
+  const pA = getJointEndPoint(a);
+  const pB = getJointEndPoint(b);
+  const n = pB.clone().sub(pA);
+  const length = n.length();
+  if (length < 1e-6) return;
+  n.divideScalar(length);
+
+  // Hooke's law plus a dashpot along the spring: F = k·(L − L₀) + c·dL/dt
+  const vRel = getJointEndVelocity(b, pB).sub(getJointEndVelocity(a, pA));
+  const force = joint.stiffness * (length - joint.restLength) + joint.damping * vRel.dot(n);
+  if (Math.abs(force) < 1e-9) return;
+
+  applyJointImpulse(a, b, n.multiplyScalar(force * delta), pA, pB);
+}
+
+function solveDistanceJoint(joint) {
+  const { a, b } = joint;
+  const pA = getJointEndPoint(a);
+  const pB = getJointEndPoint(b);
+  const n = pB.clone().sub(pA);
+  const length = n.length();
+  if (length < 1e-6) return;
+  n.divideScalar(length);
+
+  const error = length - joint.restLength;
+  if (joint.type === "rope" && error < 0) return; // slack rope pulls nothing
+
+  // cancel the relative velocity along the link (a rope only stops it stretching)
+  const vn = getJointEndVelocity(b, pB).sub(getJointEndVelocity(a, pA)).dot(n);
+  if (joint.type === "rod" || vn > 0) {
+    const k = getJointInverseMass(a, pA, n) + getJointInverseMass(b, pB, n);
+    if (k > 0) applyJointImpulse(a, b, n.clone().multiplyScalar(vn / k), pA, pB);
+  }
+
+  correctJointDrift(joint, n.multiplyScalar(error));
+}
+
+function solveHingeJoint(joint) {
+  const { a, b } = joint;
+  const pA = getJointEndPoint(a);
+  const pB = getJointEndPoint(b);
+
+  // the pivot points stay together (a ball joint along x, y and z)...
+  for (const dir of [tmpAxisX, tmpAxisY, tmpAxisZ]) {
+    const k = getJointInverseMass(a, pA, dir) + getJointInverseMass(b, pB, dir);
+    if (k === 0) continue;
+    const vn = getJointEndVelocity(b, pB).sub(getJointEndVelocity(a, pA)).dot(dir);
+    applyJointImpulse(a, b, dir.clone().multiplyScalar(vn / k), pA, pB);
+  }
+
+  // ...and the bodies may only turn relative to each other about the hinge axis
+  const axis = joint.axis.clone();
+  if (b.body) axis.applyQuaternion(b.body.mesh.quaternion);
+  const wRel = (a.body ? a.body.angularVelocity.clone() : new THREE.Vector3())
+    .sub(b.body ? b.body.angularVelocity : new THREE.Vector3());
+
+  const d1 = new THREE.Vector3().crossVectors(axis, Math.abs(axis.y) < 0.9 ? tmpAxisY : tmpAxisX).normalize();
+  const d2 = new THREE.Vector3().crossVectors(axis, d1);
+  for (const dir of [d1, d2]) {
+    const kA = a.body ? dir.dot(applyInverseInertia(a.body, dir.clone())) : 0;
+    const kB = b.body ? dir.dot(applyInverseInertia(b.body, dir.clone())) : 0;
+    if (kA + kB === 0) continue;
+    const lambda = -wRel.dot(dir) / (kA + kB);
+    if (a.body) a.body.angularVelocity.add(applyInverseInertia(a.body, dir.clone().multiplyScalar(lambda)));
+    if (b.body) b.body.angularVelocity.sub(applyInverseInertia(b.body, dir.clone().multiplyScalar(lambda)));
+    wRel.addScaledVector(dir, lambda * (kA + kB));
+  }
+
+  correctJointDrift(joint, pB.sub(pA));
+}
+
+const tmpAxisX = new THREE.Vector3(1, 0, 0);
+const tmpAxisY = new THREE.Vector3(0, 1, 0);
+const tmpAxisZ = new THREE.Vector3(0, 0, 1);
+
+function getJointEndVelocity(end, point) {
+  return end.body ? getPointVelocity(end.body, point) : new THREE.Vector3();
+}
+
+function getJointInverseMass(end, point, dir) {
+  return end.body ? getInverseEffectiveMass(end.body, point, dir) : 0;
+}
+
+// impulse pulls a towards b (and b towards a)
+function applyJointImpulse(a, b, impulse, pA, pB) {
+  if (a.body) applyImpulse(a.body, impulse, pA);
+  if (b.body) applyImpulse(b.body, impulse.clone().negate(), pB);
+}
+
+// Moves the ends together by the remaining error, split by inverse mass
+function correctJointDrift(joint, error) {
+  const { a, b } = joint;
+  const invA = a.body ? a.body.invMass : 0;
+  const invB = b.body ? b.body.invMass : 0;
+  if (invA + invB === 0) return;
+
+  // a joint pulled out of shape (e.g. by WASD) wakes its bodies
+  if (error.length() > contactSlop) {
+    if (a.body) wakeBody(a.body);
+    if (b.body) wakeBody(b.body);
+  }
+
+  if (a.body) a.body.mesh.position.addScaledVector(error, invA / (invA + invB));
+  if (b.body) b.body.mesh.position.addScaledVector(error, -invB / (invA + invB));
+}
+
+function updateJointLines() {
+  const pA = new THREE.Vector3();
+  const pB = new THREE.Vector3();
+
+  for (const joint of joints) {
+    getJointEndPoint(joint.a, pA);
+    getJointEndPoint(joint.b, pB);
+    const attr = joint.line.geometry.getAttribute("position");
+
+    if (joint.type !== "spring") {
+      attr.setXYZ(0, pA.x, pA.y, pA.z);
+      attr.setXYZ(1, pB.x, pB.y, pB.z);
+      attr.needsUpdate = true;
+      continue;
+    }
+
+    // zig-zag coil between the ends, straight leads at either end
+    const dir = pB.clone().sub(pA);
+    const side = new THREE.Vector3().crossVectors(dir, Math.abs(dir.y) < 0.9 * dir.length() ? tmpAxisY : tmpAxisX);
+    side.normalize().multiplyScalar(0.12);
+
+    const last = attr.count - 1;
+    for (let i = 0; i <= last; i++) {
+      const p = pA.clone().addScaledVector(dir, i / last);
+      if (i > 0 && i < last) p.addScaledVector(side, i % 2 ? 1 : -1);
+      attr.setXYZ(i, p.x, p.y, p.z);
     }
+    attr.needsUpdate = true;
   }
 }
 
 
 /**********************************************************************
- * ANIMATION LOOP
+ * FIXED-TIMESTEP SIMULATION
+ * Frame time is fed into an accumulator and the world advances in fixed
+ * steps (each split into sub-steps), so the same launch always produces
+ * the same trajectory. Meshes are drawn interpolated between the last two
+ * steps, then put back (same idea as the camera-shake offset in fps.js).
  **********************************************************************/
-function animate() {
-  requestAnimationFrame(animate);
+function getSimulatedBodies() {
+  return [
+    ...dynamicBodies,
+    ...projectiles,
+    ...slidingBlocks,
+    ...jointBodies.values(),
+    ...gravityBodies.values()
+  ];
+}
+
+function stepSimulation(dt) {
+  timeElapsed += dt;
+
+  // remember where every body started this step (for interpolation)
+  const stepped = getSimulatedBodies();
+  for (const body of stepped) {
+    body.prevPosition.copy(body.mesh.position);
+    body.prevQuaternion.copy(body.mesh.quaternion);
+    body.prevVelocity.copy(body.velocity);
+  }
+
+  updateSceneAnimations(dt);
+
+  const h = dt / physicsSettings.subSteps;
+  for (let i = 0; i < physicsSettings.subSteps; i++) {
+    stepBodies(h);
+    solveJoints(h);
+
+    // Collisions between bodies and scene objects
+    updateSceneColliders();
+    resolveBodyCollisions();
+  }
+
+  // everything that acted on a body this step, as one average acceleration
+  for (const body of stepped) {
+    body.measuredAcceleration.subVectors(body.velocity, body.prevVelocity).divideScalar(dt);
+  }
+
+  recordProjectiles();
+  checkExperimentShots();
+  updateStopwatch();
+  recordTelemetry();
+  recordTimelineFrame();
 
-  const delta = clock.getDelta();
-  timeElapsed += delta;
+  // gravity on an object is finished once its body has settled; scenario pieces
+  // (keepSimulated) stay in, asleep, so the next impact can wake them
+  for (const [obj, body] of gravityBodies) {
+    if (body.active || body.keepSimulated) continue;
 
-  const gAccel = gravityPresets[currentGravityPreset];
+    // Restore animation on that object
+    setAnimationPaused(obj, false);
+    gravityBodies.delete(obj);
+  }
+}
 
+function updateSceneAnimations(dt) {
   // Sphere: bounce unless under gravity
   if (!animationPaused.sphere && bouncingSphere) {
     const amplitude = 0.6;
@@ -1038,75 +8734,115 @@ function animate() {
       baseline + Math.abs(Math.sin(timeElapsed * freq)) * amplitude;
   }
 
-  // Torus: spin unless paused
+  // Torus: spin unless paused (rad/s, same look as the old per-frame 0.01/0.02 at 60 fps)
   if (!animationPaused.torus && spinningTorus) {
-    spinningTorus.rotation.x += 0.01 * speedFactors.torus;
-    spinningTorus.rotation.y += 0.02 * speedFactors.torus;
+    spinningTorus.rotation.x += 0.6 * speedFactors.torus * dt;
+    spinningTorus.rotation.y += 1.2 * speedFactors.torus * dt;
   }
 
   // Cube: rotate unless paused
   if (!animationPaused.cube && rotatingCube) {
-    rotatingCube.rotation.y += 0.015 * speedFactors.cube;
-    rotatingCube.rotation.x += 0.005 * speedFactors.cube;
+    rotatingCube.rotation.y += 0.9 * speedFactors.cube * dt;
+    rotatingCube.rotation.x += 0.3 * speedFactors.cube * dt;
   }
+}
 
-  // Gravity simulation for single object
-  if (gravityState.active && gravityState.object) {
-    gravityState.velocityY += gAccel * delta;
-    gravityState.object.position.y += gravityState.velocityY * delta;
+function stepBodies(dt) {
+  // Objects dropped with the gravity button (full rigid bodies)
+  for (const body of gravityBodies.values()) {
+    if (body.active) stepRigidBody(body, dt);
+  }
 
-    if (gravityState.object.position.y <= gravityState.floorY) {
-      gravityState.object.position.y = gravityState.floorY;
-      gravityState.velocityY *= -0.35; // bounce with damping
+  // Blocks sliding on inclines
+  for (const body of slidingBlocks) {
+    if (body.active) stepRigidBody(body, dt);
+  }
 
-      // finished?
-      if (Math.abs(gravityState.velocityY) < 0.5) {
-        // Restore animation on that object
-        if (gravityState.object === bouncingSphere) animationPaused.sphere = false;
-        if (gravityState.object === spinningTorus) animationPaused.torus = false;
-        if (gravityState.object === rotatingCube) animationPaused.cube = false;
+  // Scene objects held by joints
+  for (const body of jointBodies.values()) {
+    if (body.active) stepRigidBody(body, dt);
+  }
 
-        gravityState.active = false;
-        gravityState.object = null;
-      }
-    }
+  // Dynamic spawned spheres
+  for (const body of dynamicBodies) {
+    if (body.active) stepRigidBody(body, dt);
   }
 
-  // Gravity for dynamic spawned spheres (vertical only)
-  for (let i = dynamicBodies.length - 1; i >= 0; i--) {
-    const body = dynamicBodies[i];
-    if (!body.active) continue;
+  // Projectile motion (full 3D v + a, then bounce and roll on landing)
+  for (const p of projectiles) {
+    if (p.active) stepRigidBody(p, dt);
+  }
+}
 
-    body.velocityY += gAccel * delta;
-    body.mesh.position.y += body.velocityY * delta;
+// Moves every body to its interpolated pose; returns what to restore after rendering
+function applyInterpolatedPoses(alpha) {
+  const bodies = getSimulatedBodies();
+  for (const body of bodies) {
+    body.currPosition.copy(body.mesh.position);
+    body.currQuaternion.copy(body.mesh.quaternion);
 
-    if (body.mesh.position.y <= body.floorY) {
-      body.mesh.position.y = body.floorY;
-      body.velocityY *= -0.5;
+    body.mesh.position.lerpVectors(body.prevPosition, body.currPosition, alpha);
+    body.mesh.quaternion.copy(body.prevQuaternion).slerp(body.currQuaternion, alpha);
+  }
+  return bodies;
+}
 
-      if (Math.abs(body.velocityY) < 0.5) {
-        body.active = false;
-      }
-    }
+function restorePhysicsPoses(bodies) {
+  for (const body of bodies) {
+    body.mesh.position.copy(body.currPosition);
+    body.mesh.quaternion.copy(body.currQuaternion);
   }
+}
 
-  // Projectile motion (full 3D v + a)
-  for (let i = projectiles.length - 1; i >= 0; i--) {
-    const p = projectiles[i];
-    if (!p.active) continue;
 
-    p.velocity.addScaledVector(p.acceleration, delta);
-    p.mesh.position.addScaledVector(p.velocity, delta);
+/**********************************************************************
+ * ANIMATION LOOP
+ **********************************************************************/
+function animate() {
+  requestAnimationFrame(animate);
+
+  // clamp so a throttled tab doesn't replay seconds of physics at once
+  const delta = Math.min(clock.getDelta(), physicsSettings.maxFrameDelta);
 
-    const floorY = p.radius; // ground at y=0
-    if (p.mesh.position.y <= floorY) {
-      p.mesh.position.y = floorY;
-      p.active = false; // stop projectile at impact
-    }
+  // paused: nothing advances; slow motion feeds the fixed steps more slowly
+  if (!timeline.paused) physicsAccumulator += delta * timeline.speed;
+  while (physicsAccumulator >= physicsSettings.fixedDelta) {
+    if (timeline.cursor >= 0) stepTimelineForward();
+    else stepSimulation(physicsSettings.fixedDelta);
+    physicsAccumulator -= physicsSettings.fixedDelta;
   }
+  updateTimelineBar();
+
+  // Movement of the selection with collision
+  updateSelectionMovement(delta);
+
+  // Predicted path follows the inputs, preset and selected object live
+  updateTrajectoryPreview();
+  updateOrbitReadout();
+
+  // Interpolated state is for rendering only
+  // paused shows the latest step exactly (it may have been stepped by hand)
+  const alpha = timeline.paused ? 1 : physicsAccumulator / physicsSettings.fixedDelta;
+  const drawn = applyInterpolatedPoses(alpha);
+  updateCamera(delta);
+  updateSelectionOutlines();
+  updateColliderDebug();
+  updateJointLines();
+  updateGizmo();
+  updateForceDiagrams();
+  updateVectorOverlay();
+  updateMeasureLabels();
+  updateExplosionFlashes(delta);
+  drawTelemetry();
+  renderer.render(scene, camera);
+  restorePhysicsPoses(drawn);
+}
 
-  // Movement of last clicked object with collision
-  updateLastClickedMovement(delta);
 
-  renderer.render(scene, camera);
-}
\ No newline at end of file
+/**********************************************************************
+ * ENTRY POINT
+ * Last, so every module-level constant above is initialised before the
+ * first frame (or a restored scene) uses it.
+ **********************************************************************/
+init();
+animate();